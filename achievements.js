@@ -0,0 +1,75 @@
+// Achievements: declarative rules checked against game events. A rule names
+// the event it listens to and the values the event must have, so new ones
+// need no code:
+//   when: { correct: true }          exact value
+//   when: { combo: { min: 10 } }     at least
+//   when: { ms: { below: 2000 } }    less than
+// Events (see App.checkAchievements):
+//   answer      { game, correct, combo, ms, misses, mastered, gamesLeft }
+//   goal        { streak }             daily goal reached
+//   medal       { medals }             a game was completed
+//   time-attack { correct }            a run ended
+//   review      { cleared }            a mistakes-notebook entry was answered
+
+export const ACHIEVEMENTS_KEY = 'learnita_v3_achievements';
+
+export const ACHIEVEMENTS = [
+    { id: 'first-correct', icon: '🌱', title: 'اولین قدم', desc: 'اولین پاسخ درست', event: 'answer', when: { correct: true } },
+    { id: 'combo-10', icon: '🔥', title: 'داغ داغ', desc: '۱۰ پاسخ درست پشت سر هم', event: 'answer', when: { combo: { min: 10 } } },
+    { id: 'combo-30', icon: '☄️', title: 'توقف‌ناپذیر', desc: '۳۰ پاسخ درست پشت سر هم', event: 'answer', when: { combo: { min: 30 } } },
+    { id: 'hangman-perfect', icon: '🎯', title: 'بی‌نقص', desc: 'یک دور جلاد بدون اشتباه', event: 'answer', when: { game: 'hangman', correct: true, misses: 0 } },
+    { id: 'translate-fast', icon: '⚡', title: 'برق‌آسا', desc: 'پاسخ درست ترجمه در کمتر از ۲ ثانیه', event: 'answer', when: { game: 'translate', correct: true, ms: { below: 2000 } } },
+    { id: 'all-started', icon: '🧭', title: 'کاشف', desc: 'همه بازی‌ها را امتحان کن', event: 'answer', when: { gamesLeft: 0 } },
+    { id: 'words-50', icon: '📚', title: 'کتاب‌خوان', desc: 'تسلط بر ۵۰ کلمه', event: 'answer', when: { mastered: { min: 50 } } },
+    { id: 'words-200', icon: '🎓', title: 'استاد واژه‌ها', desc: 'تسلط بر ۲۰۰ کلمه', event: 'answer', when: { mastered: { min: 200 } } },
+    { id: 'streak-3', icon: '📆', title: 'شروع عادت', desc: '۳ روز پیاپی هدف روزانه', event: 'goal', when: { streak: { min: 3 } } },
+    { id: 'streak-7', icon: '🗓️', title: 'یک هفته پیاپی', desc: '۷ روز پیاپی هدف روزانه', event: 'goal', when: { streak: { min: 7 } } },
+    { id: 'streak-30', icon: '🏆', title: 'یک ماه پیاپی', desc: '۳۰ روز پیاپی هدف روزانه', event: 'goal', when: { streak: { min: 30 } } },
+    { id: 'time-attack-20', icon: '⏱️', title: 'مسابقه با زمان', desc: '۲۰ پاسخ درست در یک دور زمان‌دار', event: 'time-attack', when: { correct: { min: 20 } } },
+    { id: 'mistake-cleared', icon: '🧹', title: 'جبران', desc: 'یک اشتباه را از دفترچه پاک کن', event: 'review', when: { cleared: true } },
+    { id: 'first-medal', icon: '🏅', title: 'قهرمان', desc: 'یک بازی را تا آخر تمام کن', event: 'medal', when: { medals: { min: 1 } } }
+];
+
+function matches(when, data) {
+    return Object.keys(when).every(key => {
+        const rule = when[key];
+        const value = data[key];
+        if (rule && typeof rule === 'object') {
+            if (typeof value !== 'number') return false;
+            if ('min' in rule && value < rule.min) return false;
+            if ('below' in rule && value >= rule.below) return false;
+            return true;
+        }
+        return value === rule;
+    });
+}
+
+export class Achievements {
+    constructor(data = {}) {
+        // { [id]: ISO date of the unlock }
+        const unlocked = (data && data.unlocked) || {};
+        this.unlocked = {};
+        ACHIEVEMENTS.forEach(a => {
+            if (typeof unlocked[a.id] === 'string') this.unlocked[a.id] = unlocked[a.id];
+        });
+    }
+
+    get count() {
+        return Object.keys(this.unlocked).length;
+    }
+
+    isUnlocked(id) {
+        return id in this.unlocked;
+    }
+
+    // Unlocks and returns every locked achievement the event satisfies
+    check(event, data, now = new Date()) {
+        const earned = ACHIEVEMENTS.filter(a => a.event === event && !this.isUnlocked(a.id) && matches(a.when, data));
+        earned.forEach(a => { this.unlocked[a.id] = now.toISOString(); });
+        return earned;
+    }
+
+    toJSON() {
+        return { unlocked: this.unlocked };
+    }
+}
@@ -0,0 +1,125 @@
+// Teacher assignments and their result codes.
+//
+// An assignment comes from the Eitaa start parameter or `?assign=` in the URL.
+// It only uses characters a start parameter allows: the game, then options in
+// any order, separated by "_":
+//   as_animal_n10_t1_w0-20_idclass7
+//     n10    number of questions (1-100, default 10)
+//     t1     per-question timer on (t0 or missing: off)
+//     w0-20  words 0-19 of the game's word list; in games without one, the level to start from
+//     idX    a label for the teacher (letters and digits)
+//
+// When it ends the student gets a result code to paste back to the teacher:
+// "LRR1.<payload>.<signature>". The signature is a keyed checksum over the
+// assignment and the payload. It catches typos and casual edits, but it is not
+// cryptography: the key ships with the app.
+
+import { checksum, toBase64Url, fromBase64Url } from './backup.js';
+
+export const ASSIGNMENT_PARAM = 'assign';
+export const DEFAULT_QUESTIONS = 10;
+export const MAX_QUESTIONS = 100;
+
+const PREFIX = 'as';
+const RESULT_PREFIX = 'LRR1';
+const SIGN_KEY = 'learnita-teacher';
+const MAX_MISSED = 20;
+
+export class AssignmentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AssignmentError';
+    }
+}
+
+// Eitaa start parameters can carry other things; only "as_..." ones are assignments
+export function isAssignmentLink(text) {
+    return typeof text === 'string' && text.startsWith(`${PREFIX}_`);
+}
+
+// { game, count, timer, from, to, id }; `to` is null when the whole list is used
+export function parseAssignment(text, gameTypes) {
+    const parts = String(text || '').trim().split('_');
+    if (parts[0] !== PREFIX || !gameTypes.includes(parts[1])) {
+        throw new AssignmentError('لینک تکلیف معتبر نیست.');
+    }
+    const assignment = { game: parts[1], count: DEFAULT_QUESTIONS, timer: false, from: 0, to: null, id: '' };
+    parts.slice(2).forEach(part => {
+        let m;
+        if ((m = /^n(\d{1,3})$/.exec(part))) {
+            assignment.count = Number(m[1]);
+        } else if ((m = /^t([01])$/.exec(part))) {
+            assignment.timer = m[1] === '1';
+        } else if ((m = /^w(\d{1,5})-(\d{1,5})$/.exec(part))) {
+            assignment.from = Number(m[1]);
+            assignment.to = Number(m[2]);
+        } else if ((m = /^id([a-z0-9]{1,16})$/i.exec(part))) {
+            assignment.id = m[1];
+        } else {
+            throw new AssignmentError('لینک تکلیف معتبر نیست.');
+        }
+    });
+    if (assignment.count < 1 || assignment.count > MAX_QUESTIONS || (assignment.to !== null && assignment.to <= assignment.from)) {
+        throw new AssignmentError('لینک تکلیف معتبر نیست.');
+    }
+    return assignment;
+}
+
+// The canonical text of an assignment (what parseAssignment reads back)
+export function formatAssignment({ game, count, timer, from, to, id }) {
+    const parts = [PREFIX, game, `n${count}`, `t${timer ? 1 : 0}`];
+    if (to !== null) parts.push(`w${from}-${to}`);
+    if (id) parts.push(`id${id}`);
+    return parts.join('_');
+}
+
+function sign(assignment, payload) {
+    return checksum(`${SIGN_KEY}|${assignment}|${payload}`);
+}
+
+// `result`: { name, score, correct, answered, missed: [words], seconds }
+export function encodeResultCode(assignment, result, now = new Date()) {
+    const a = formatAssignment(assignment);
+    const data = {
+        a,
+        n: result.name,
+        s: result.score,
+        c: result.correct,
+        q: result.answered,
+        m: result.missed.slice(0, MAX_MISSED),
+        t: result.seconds,
+        d: now.toISOString().slice(0, 16)
+    };
+    const payload = toBase64Url(new TextEncoder().encode(JSON.stringify(data)));
+    return `${RESULT_PREFIX}.${payload}.${sign(a, payload)}`;
+}
+
+export function decodeResultCode(code, gameTypes) {
+    const parts = String(code || '').replace(/\s+/g, '').split('.');
+    if (parts.length !== 3 || parts[0] !== RESULT_PREFIX) {
+        throw new AssignmentError('کد نتیجه معتبر نیست.');
+    }
+    const [, payload, signature] = parts;
+    let data;
+    try {
+        data = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+    } catch (e) {
+        throw new AssignmentError('کد نتیجه خراب است.');
+    }
+    if (!data || typeof data.a !== 'string' || sign(data.a, payload) !== signature) {
+        throw new AssignmentError('کد نتیجه ناقص است یا تغییر کرده است.');
+    }
+    const answered = Number.isInteger(data.q) && data.q > 0 ? data.q : 0;
+    const correct = Number.isInteger(data.c) ? Math.min(Math.max(0, data.c), answered) : 0;
+    return {
+        assignment: parseAssignment(data.a, gameTypes),
+        name: typeof data.n === 'string' ? data.n : '',
+        score: Number.isInteger(data.s) ? data.s : 0,
+        correct,
+        answered,
+        accuracy: answered ? correct / answered : 0,
+        missed: Array.isArray(data.m) ? data.m.filter(w => typeof w === 'string') : [],
+        seconds: Number.isInteger(data.t) ? data.t : 0,
+        finishedAt: typeof data.d === 'string' && /^\d{4}-\d\d-\d\dT\d\d:\d\d$/.test(data.d) ? data.d : null
+    };
+}
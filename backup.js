@@ -0,0 +1,98 @@
+// Backup files and copyable backup codes for learner data.
+//
+// A backup is plain JSON: { app: 'learnita', type: 'backup', version, exportedAt, data }
+// where `data` holds one entry per saved section (progress, mastery, ...).
+// A backup code is the same JSON, deflated when the browser supports it,
+// base64url-encoded and followed by a short checksum: "LRN1z.<payload>.<sum>"
+
+export const BACKUP_VERSION = 1;
+const CODE_PREFIX = 'LRN1';
+
+export class BackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupError';
+    }
+}
+
+export function createBackup(data) {
+    return { app: 'learnita', type: 'backup', version: BACKUP_VERSION, exportedAt: new Date().toISOString(), data };
+}
+
+// Validates the envelope only; each section is checked by its own loader
+export function parseBackup(json) {
+    let backup;
+    try {
+        backup = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (e) {
+        throw new BackupError('فایل پشتیبان خراب است.');
+    }
+    if (!backup || backup.app !== 'learnita' || backup.type !== 'backup' || typeof backup.data !== 'object' || !backup.data) {
+        throw new BackupError('این فایل، پشتیبان لرنیتا نیست.');
+    }
+    if (backup.version > BACKUP_VERSION) {
+        throw new BackupError('این پشتیبان با نسخه جدیدتری از برنامه ساخته شده است.');
+    }
+    return backup;
+}
+
+// FNV-1a, enough to catch typos and truncated codes (also used by assignment.js)
+export function checksum(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+export function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+    const piped = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+export async function encodeBackupCode(backup) {
+    let bytes = new TextEncoder().encode(JSON.stringify(backup));
+    let mode = '';
+    if (typeof CompressionStream !== 'undefined') {
+        bytes = await pipeBytes(bytes, new CompressionStream('deflate-raw'));
+        mode = 'z';
+    }
+    const payload = toBase64Url(bytes);
+    return `${CODE_PREFIX}${mode}.${payload}.${checksum(payload)}`;
+}
+
+export async function decodeBackupCode(code) {
+    const parts = code.replace(/\s+/g, '').split('.');
+    if (parts.length !== 3 || !parts[0].startsWith(CODE_PREFIX)) {
+        throw new BackupError('کد پشتیبان معتبر نیست.');
+    }
+    const [head, payload, sum] = parts;
+    if (checksum(payload) !== sum) {
+        throw new BackupError('کد پشتیبان ناقص است یا اشتباه کپی شده است.');
+    }
+    try {
+        let bytes = fromBase64Url(payload);
+        if (head === `${CODE_PREFIX}z`) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new BackupError('این مرورگر از کدهای فشرده پشتیبانی نمی‌کند؛ از فایل پشتیبان استفاده کنید.');
+            }
+            bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+        }
+        return parseBackup(new TextDecoder().decode(bytes));
+    } catch (e) {
+        if (e instanceof BackupError) throw e;
+        throw new BackupError('کد پشتیبان خراب است.');
+    }
+}
@@ -0,0 +1,65 @@
+// Small SVG charts for the stats screen, built as markup strings so no chart
+// library is needed. Both charts share a 300x120 view box and scale with CSS.
+
+const WIDTH = 300;
+const HEIGHT = 120;
+const LEFT = 24;
+const BOTTOM = 16;
+const TOP = 8;
+const PLOT_HEIGHT = HEIGHT - BOTTOM - TOP;
+
+function svg(content) {
+    return `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" class="w-full h-auto" dir="ltr">${content}</svg>`;
+}
+
+function xOf(i, count) {
+    const step = (WIDTH - LEFT) / count;
+    return LEFT + step * i + step / 2;
+}
+
+function yOf(ratio) {
+    return TOP + PLOT_HEIGHT * (1 - ratio);
+}
+
+function gridLine(ratio, label) {
+    const y = yOf(ratio);
+    return `<line x1="${LEFT}" y1="${y}" x2="${WIDTH}" y2="${y}" stroke="currentColor" stroke-opacity="0.15" />`
+        + `<text x="${LEFT - 4}" y="${y + 3}" font-size="8" text-anchor="end" fill="currentColor" fill-opacity="0.6">${label}</text>`;
+}
+
+function xLabels(labels, count) {
+    return labels.map((label, i) => label
+        ? `<text x="${xOf(i, count)}" y="${HEIGHT - 4}" font-size="8" text-anchor="middle" fill="currentColor" fill-opacity="0.6">${label}</text>`
+        : '').join('');
+}
+
+// One bar per value; `labels` go under the bars (use '' to skip one)
+export function barChart(values, { labels = [], color = '#60a5fa' } = {}) {
+    const max = Math.max(1, ...values);
+    const barWidth = (WIDTH - LEFT) / values.length * 0.6;
+    const bars = values.map((value, i) => {
+        const height = PLOT_HEIGHT * value / max;
+        return `<rect x="${xOf(i, values.length) - barWidth / 2}" y="${yOf(value / max)}" width="${barWidth}" height="${height}" rx="2" fill="${color}"><title>${value}</title></rect>`;
+    }).join('');
+    return svg(gridLine(0, 0) + gridLine(1, max) + bars + xLabels(labels, values.length));
+}
+
+// A line through ratios between 0 and 1; null values (no data) break the line
+export function lineChart(values, { labels = [], color = '#34d399' } = {}) {
+    const segments = [];
+    let current = [];
+    values.forEach((value, i) => {
+        if (value === null) {
+            if (current.length) segments.push(current);
+            current = [];
+            return;
+        }
+        current.push(`${xOf(i, values.length)},${yOf(value)}`);
+    });
+    if (current.length) segments.push(current);
+
+    const lines = segments.map(points => `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round" />`).join('');
+    const dots = values.map((value, i) => value === null ? ''
+        : `<circle cx="${xOf(i, values.length)}" cy="${yOf(value)}" r="2.5" fill="${color}"><title>${Math.round(value * 100)}%</title></circle>`).join('');
+    return svg(gridLine(0, '0%') + gridLine(0.5, '50%') + gridLine(1, '100%') + lines + dots + xLabels(labels, values.length));
+}
@@ -0,0 +1,78 @@
+// Telling the time: level-based times, English phrases and clock hand angles.
+import { numberToWords } from './numbers.js';
+
+// Minute step per difficulty: whole hours, then half/quarter hours, five minutes, any minute
+export function clockStepForLevel(level) {
+    if (level < 100) return 60;
+    if (level < 250) return 15;
+    if (level < 400) return 5;
+    return 1;
+}
+
+// Spreads hours and minutes over the levels without repeating the same time back to back
+export function timeForLevel(level) {
+    const step = clockStepForLevel(level);
+    const slots = 60 / step;
+    return { hour: (level * 5) % 12 + 1, minute: ((level * 7) % slots) * step };
+}
+
+export function nextHour(hour) {
+    return hour % 12 + 1;
+}
+
+// "QUARTER PAST SEVEN", "TWENTY-FIVE TO EIGHT", "SEVEN O'CLOCK"
+export function classicTimePhrase(hour, minute) {
+    if (minute === 0) return `${numberToWords(hour)} O'CLOCK`;
+    if (minute === 15) return `QUARTER PAST ${numberToWords(hour)}`;
+    if (minute === 30) return `HALF PAST ${numberToWords(hour)}`;
+    if (minute === 45) return `QUARTER TO ${numberToWords(nextHour(hour))}`;
+
+    const past = minute < 30;
+    const count = past ? minute : 60 - minute;
+    // Multiples of five drop the word "minutes": "TWENTY PAST", but "EIGHT MINUTES PAST"
+    const amount = numberToWords(count) + (count % 5 === 0 ? '' : count === 1 ? ' MINUTE' : ' MINUTES');
+    return `${amount} ${past ? 'PAST' : 'TO'} ${numberToWords(past ? hour : nextHour(hour))}`;
+}
+
+// "SEVEN FIFTEEN", "SEVEN OH FIVE", "SEVEN O'CLOCK"
+export function digitalTimePhrase(hour, minute) {
+    if (minute === 0) return `${numberToWords(hour)} O'CLOCK`;
+    if (minute < 10) return `${numberToWords(hour)} OH ${numberToWords(minute)}`;
+    return `${numberToWords(hour)} ${numberToWords(minute)}`;
+}
+
+// "7:05"
+export function formatTime(hour, minute) {
+    return `${hour}:${String(minute).padStart(2, '0')}`;
+}
+
+// Degrees clockwise from 12 o'clock; the hour hand moves on with the minutes
+export function handAngles(hour, minute) {
+    return { hour: (hour % 12) * 30 + minute / 2, minute: minute * 6 };
+}
+
+// Times a learner is likely to confuse with the given one, nearest first
+export function confusableTimes(hour, minute, step) {
+    const shift = (h, m) => {
+        const total = ((h % 12) * 60 + m + 720) % 720;
+        return { hour: Math.floor(total / 60) || 12, minute: total % 60 };
+    };
+    const times = [
+        // past/to mix-ups: "QUARTER TO EIGHT" read as quarter past eight, "QUARTER PAST SEVEN" as quarter to seven
+        minute > 30 ? shift(hour + 1, 60 - minute) : shift(hour - 1, 60 - minute),
+        shift(hour - 1, minute),
+        shift(hour + 1, minute),
+        shift(hour, minute + step),
+        shift(hour, minute - step),
+        // hands swapped
+        { hour: Math.round(minute / 5) || 12, minute: (hour % 12) * 5 },
+        shift(hour, 60 - minute)
+    ];
+    const seen = new Set([formatTime(hour, minute)]);
+    return times.filter(t => {
+        const key = formatTime(t.hour, t.minute);
+        if (t.minute % step !== 0 || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
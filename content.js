@@ -0,0 +1,201 @@
+// Content packs: bundled JSON files that fill the game libraries.
+// The pack format is documented in packs/README.md.
+import { GRAMMAR_RULES, DEFAULT_GRAMMAR_RULE } from './grammar.js';
+
+export const PACK_FORMAT = 1;
+
+// Field rules per section. `?` marks an optional field.
+const SCHEMA = {
+    pack: { format: 'number', id: 'string', 'name?': 'string' },
+    category: { label: 'string', 'translate?': 'boolean', 'pos?': 'string', items: 'array' },
+    word: { en: 'string', fa: 'string', 'hex?': 'string', 'img?': 'string' },
+    sentence: { words: 'string[]', fa: 'string', 'alternatives?': 'array', 'distractors?': 'string[]' },
+    grammar: { words: 'string[]', 'rule?': 'string', 'explain?': 'string', 'errors?': 'array', 'wrongIdx?': 'number', 'correct?': 'string', 'options?': 'string[]' },
+    grammarError: { idx: 'number', correct: 'string', options: 'string[]' },
+    hangman: { word: 'string', hint: 'string', 'fa?': 'string' }
+};
+
+// Categories whose games can't work without an optional word field
+const CATEGORY_WORDS = {
+    colors: { en: 'string', fa: 'string', hex: 'string', 'img?': 'string' }
+};
+
+export class ContentPackError extends Error {
+    constructor(source, problems) {
+        super(`Invalid content pack "${source}":\n` + problems.map(p => `  - ${p}`).join('\n'));
+        this.name = 'ContentPackError';
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) {
+        return value.every(v => typeof v === 'string') ? 'string[]' : 'array';
+    }
+    return typeof value;
+}
+
+function checkFields(obj, rules, path, problems) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+        problems.push(`${path}: expected an object`);
+        return false;
+    }
+    let ok = true;
+    Object.keys(rules).forEach(rawKey => {
+        const optional = rawKey.endsWith('?');
+        const key = optional ? rawKey.slice(0, -1) : rawKey;
+        const expected = rules[rawKey];
+        const value = obj[key];
+        if (value === undefined) {
+            if (!optional) {
+                problems.push(`${path}.${key}: missing`);
+                ok = false;
+            }
+            return;
+        }
+        const actual = typeOf(value);
+        const matches = actual === expected || (expected === 'array' && actual === 'string[]');
+        if (!matches || (actual === 'string' && !value.trim())) {
+            problems.push(`${path}.${key}: expected ${expected}, got ${JSON.stringify(value)}`);
+            ok = false;
+        }
+    });
+    return ok;
+}
+
+// An optional top-level section; anything but the expected shape is a problem
+function section(pack, key, problems) {
+    const value = pack[key];
+    if (value === undefined) return key === 'categories' ? {} : [];
+    const ok = key === 'categories' ? value && typeof value === 'object' && !Array.isArray(value) : Array.isArray(value);
+    if (!ok) {
+        problems.push(`pack.${key}: expected ${key === 'categories' ? 'an object' : 'a list'}`);
+        return key === 'categories' ? {} : [];
+    }
+    return value;
+}
+
+// Returns a list of readable problems; an empty list means the pack is valid.
+export function validatePack(pack) {
+    const problems = [];
+    if (!checkFields(pack, SCHEMA.pack, 'pack', problems)) return problems;
+    if (pack.format !== PACK_FORMAT) {
+        problems.push(`pack.format: unsupported format ${pack.format} (expected ${PACK_FORMAT})`);
+    }
+
+    const categories = section(pack, 'categories', problems);
+    Object.keys(categories).forEach(name => {
+        const path = `categories.${name}`;
+        if (!checkFields(categories[name], SCHEMA.category, path, problems)) return;
+        const seen = new Set();
+        categories[name].items.forEach((item, i) => {
+            if (!checkFields(item, CATEGORY_WORDS[name] || SCHEMA.word, `${path}.items[${i}]`, problems)) return;
+            const key = item.en.toLowerCase();
+            if (seen.has(key)) problems.push(`${path}.items[${i}]: duplicate word "${item.en}"`);
+            seen.add(key);
+        });
+    });
+
+    section(pack, 'sentences', problems).forEach((s, i) => {
+        const path = `sentences[${i}]`;
+        if (!checkFields(s, SCHEMA.sentence, path, problems)) return;
+        if (s.words.length < 2) problems.push(`${path}.words: needs at least two words`);
+        // Another accepted order must use exactly the same chips
+        const chips = words => [...words].sort().join('|');
+        (s.alternatives || []).forEach((alt, j) => {
+            if (typeOf(alt) !== 'string[]' || chips(alt) !== chips(s.words)) {
+                problems.push(`${path}.alternatives[${j}]: must use exactly the words of "words"`);
+            }
+        });
+    });
+
+    section(pack, 'grammar', problems).forEach((g, i) => {
+        const path = `grammar[${i}]`;
+        if (!checkFields(g, SCHEMA.grammar, path, problems)) return;
+        if (g.rule !== undefined && !GRAMMAR_RULES[g.rule]) {
+            problems.push(`${path}.rule: unknown rule "${g.rule}" (expected one of ${Object.keys(GRAMMAR_RULES).join(', ')})`);
+        }
+        // Either a list of errors (empty for a correct sentence) or the older single-error fields
+        if (g.errors !== undefined && g.wrongIdx !== undefined) {
+            problems.push(`${path}: use either errors or wrongIdx/correct/options, not both`);
+            return;
+        }
+        if (g.errors === undefined && !checkFields(g, { wrongIdx: 'number', correct: 'string', options: 'string[]' }, path, problems)) return;
+        const seen = new Set();
+        grammarErrors(g).forEach((err, j) => {
+            const errPath = g.errors ? `${path}.errors[${j}]` : path;
+            if (g.errors && !checkFields(err, SCHEMA.grammarError, errPath, problems)) return;
+            if (!g.words[err.idx]) problems.push(`${errPath}.${g.errors ? 'idx' : 'wrongIdx'}: ${err.idx} is outside the sentence`);
+            if (seen.has(err.idx)) problems.push(`${errPath}.idx: word ${err.idx} already has an error`);
+            if (!err.options.includes(err.correct)) problems.push(`${errPath}.options: must include "${err.correct}"`);
+            seen.add(err.idx);
+        });
+    });
+
+    section(pack, 'hangman', problems).forEach((h, i) => {
+        const path = `hangman[${i}]`;
+        if (checkFields(h, SCHEMA.hangman, path, problems) && !/^[A-Z]+( [A-Z]+)*$/.test(h.word)) {
+            problems.push(`${path}.word: only capital letters A-Z and single spaces are allowed, got "${h.word}"`);
+        }
+    });
+
+    return problems;
+}
+
+function grammarErrors(g) {
+    return g.errors || [{ idx: g.wrongIdx, correct: g.correct, options: g.options }];
+}
+
+// Grammar items are stored in one shape: { words, rule, explain, errors: [{ idx, correct, options }] }
+function normalizeGrammar(g) {
+    return { words: g.words, rule: g.rule || DEFAULT_GRAMMAR_RULE, explain: g.explain || '', errors: grammarErrors(g) };
+}
+
+export function createEmptyLibraries() {
+    return { categories: {}, sentences: [], grammar: [], hangman: [] };
+}
+
+// Merges a valid pack into `libraries`. Words already present in a category are skipped.
+export function mergePack(libraries, pack) {
+    Object.keys(pack.categories || {}).forEach(name => {
+        const src = pack.categories[name];
+        const dest = libraries.categories[name] || (libraries.categories[name] = { label: src.label, translate: src.translate !== false, pos: src.pos || null, items: [] });
+        const known = new Set(dest.items.map(item => item.en.toLowerCase()));
+        src.items.forEach(item => {
+            if (!known.has(item.en.toLowerCase())) {
+                dest.items.push(item);
+                known.add(item.en.toLowerCase());
+            }
+        });
+    });
+    libraries.sentences.push(...(pack.sentences || []));
+    libraries.grammar.push(...(pack.grammar || []).map(normalizeGrammar));
+    libraries.hangman.push(...(pack.hangman || []));
+    return libraries;
+}
+
+// Fetches, validates and merges every pack. A broken pack is left out and
+// reported in `errors`; the remaining packs still load.
+export async function loadContentPacks(urls) {
+    const libraries = createEmptyLibraries();
+    const errors = [];
+    for (const url of urls) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new ContentPackError(url, [`HTTP ${response.status}`]);
+            let pack;
+            try {
+                pack = await response.json();
+            } catch (e) {
+                throw new ContentPackError(url, [`not valid JSON (${e.message})`]);
+            }
+            const problems = validatePack(pack);
+            if (problems.length) throw new ContentPackError(url, problems);
+            mergePack(libraries, pack);
+        } catch (e) {
+            errors.push(e instanceof ContentPackError ? e : new ContentPackError(url, [e.message]));
+        }
+    }
+    return { libraries, errors };
+}
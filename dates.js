@@ -0,0 +1,69 @@
+// Calendar data for the days, months and dates games, with an offline
+// Jalali (Persian) to Gregorian conversion.
+import { ordinalToWords, ordinalSuffix } from './numbers.js';
+
+// Monday first, as in the days game
+export const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+export const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+export const JALALI_MONTHS = ['فروردین', 'اردیبهشت', 'خرداد', 'تیر', 'مرداد', 'شهریور', 'مهر', 'آبان', 'آذر', 'دی', 'بهمن', 'اسفند'];
+
+function isGregorianLeap(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+export function gregorianMonthLength(year, month) {
+    return [31, isGregorianLeap(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+}
+
+// Arithmetic conversion (33-year cycle), good for the years the game uses (1300-1500).
+// Months and days are 1-based: jalaliToGregorian(1403, 1, 1) -> { year: 2024, month: 3, day: 20 }
+export function jalaliToGregorian(jy, jm, jd) {
+    const div = (a, b) => Math.trunc(a / b);
+    const y = jy + 1595;
+    let days = -355668 + 365 * y + div(y, 33) * 8 + div((y % 33) + 3, 4) + jd + (jm < 7 ? (jm - 1) * 31 : (jm - 7) * 30 + 186);
+
+    let year = 400 * div(days, 146097);
+    days %= 146097;
+    if (days > 36524) {
+        days--;
+        year += 100 * div(days, 36524);
+        days %= 36524;
+        if (days >= 365) days++;
+    }
+    year += 4 * div(days, 1461);
+    days %= 1461;
+    if (days > 365) {
+        year += div(days - 1, 365);
+        days = (days - 1) % 365;
+    }
+
+    let day = days + 1;
+    let month = 1;
+    while (day > gregorianMonthLength(year, month)) {
+        day -= gregorianMonthLength(year, month);
+        month++;
+    }
+    return { year, month, day };
+}
+
+// English name of the weekday of a Gregorian date
+export function weekdayOf({ year, month, day }) {
+    return DAYS[(new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7];
+}
+
+// A Jalali date per level; days stop at 29 so every month has them
+export function jalaliDateForLevel(level) {
+    return { year: 1395 + (level * 3) % 16, month: (level * 5) % 12 + 1, day: (level * 11) % 29 + 1 };
+}
+
+// "the fifth of March" or "March 5th"
+export function englishDate(month, day, style = 'ordinal') {
+    if (style === 'short') return `${MONTHS[month - 1]} ${ordinalSuffix(day)}`;
+    return `the ${ordinalToWords(day).toLowerCase()} of ${MONTHS[month - 1]}`;
+}
+
+// "۱۴ اسفند ۱۴۰۲"
+export function formatJalali({ year, month, day }) {
+    const fa = n => n.toLocaleString('fa-IR', { useGrouping: false });
+    return `${fa(day)} ${JALALI_MONTHS[month - 1]} ${fa(year)}`;
+}
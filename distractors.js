@@ -0,0 +1,44 @@
+// Distractor engine for multiple-choice games.
+// Wrong options are scored by how plausible they are next to the answer:
+// similar spelling, similar length, same part of speech, and words the
+// learner has already confused with it. At low levels the choice is mostly
+// random; as the level rises the most plausible foils win.
+
+import { editDistance } from './text.js';
+
+// Level at which foils are fully plausibility-driven
+const FULL_DIFFICULTY_LEVEL = 150;
+
+export function difficultyForLevel(level) {
+    return Math.min(1, Math.max(0, level / FULL_DIFFICULTY_LEVEL));
+}
+
+// 0..1, how easy it is to mistake `candidate` for `answer`
+export function plausibility(answer, candidate) {
+    const a = answer.text.toLowerCase();
+    const c = candidate.text.toLowerCase();
+    const longest = Math.max(a.length, c.length) || 1;
+    const spelling = 1 - editDistance(a, c) / longest;
+    const length = 1 - Math.abs(a.length - c.length) / longest;
+    const samePos = answer.pos && candidate.pos === answer.pos ? 1 : 0;
+    return 0.45 * spelling + 0.25 * length + 0.3 * samePos;
+}
+
+// answer: { text, pos }, candidates: [{ text, pos }]
+// confusions: Map of candidate text -> times the learner picked it for this answer
+export function pickDistractors(answer, candidates, { count = 3, level = 0, confusions = new Map() } = {}) {
+    const difficulty = difficultyForLevel(level);
+    const seen = new Set([answer.text]);
+    const scored = [];
+    candidates.forEach(candidate => {
+        if (!candidate.text || seen.has(candidate.text)) return;
+        seen.add(candidate.text);
+        const confused = Math.min(1, (confusions.get(candidate.text) || 0) / 2);
+        const score = difficulty * plausibility(answer, candidate)
+            + (1 - difficulty) * Math.random()
+            + 0.1 * Math.random()
+            + confused;
+        scored.push({ text: candidate.text, score });
+    });
+    return scored.sort((x, y) => y.score - x.score).slice(0, count).map(x => x.text);
+}
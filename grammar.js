@@ -0,0 +1,70 @@
+// Grammar rules and per-rule accuracy. Items of rules the learner gets wrong
+// more often come up more often in the grammar game.
+
+export const GRAMMAR_KEY = 'learnita_v3_grammar';
+
+export const GRAMMAR_RULES = {
+    agreement: 'مطابقت فعل و فاعل',
+    tense: 'زمان فعل',
+    article: 'حروف تعریف',
+    preposition: 'حروف اضافه',
+    plural: 'جمع و مفرد',
+    'word-order': 'ترتیب کلمات'
+};
+
+// Rule given to pack items that don't name one (every item before rules existed was agreement)
+export const DEFAULT_GRAMMAR_RULE = 'agreement';
+
+function count(n) {
+    return Number.isInteger(n) && n >= 0 ? n : 0;
+}
+
+export class GrammarStats {
+    constructor(data = {}) {
+        // { [rule]: { right, wrong } }
+        const rules = (data && data.rules) || {};
+        this.rules = {};
+        Object.keys(GRAMMAR_RULES).forEach(rule => {
+            const r = rules[rule] || {};
+            this.rules[rule] = { right: count(r.right), wrong: count(r.wrong) };
+        });
+    }
+
+    record(rule, isCorrect) {
+        const r = this.rules[rule];
+        if (!r) return;
+        if (isCorrect) r.right++;
+        else r.wrong++;
+    }
+
+    // Smoothed, so a rule starts at 50% instead of jumping to 0 or 100 on the first answer
+    accuracy(rule) {
+        const r = this.rules[rule] || { right: 0, wrong: 0 };
+        return (r.right + 1) / (r.right + r.wrong + 2);
+    }
+
+    attempts(rule) {
+        const r = this.rules[rule];
+        return r ? r.right + r.wrong : 0;
+    }
+
+    // Picks a rule weighted by how often it goes wrong, then the level's item of that rule
+    pickItem(pool, level, random = Math.random) {
+        const byRule = {};
+        pool.forEach(item => (byRule[item.rule] || (byRule[item.rule] = [])).push(item));
+        const rules = Object.keys(byRule);
+        const weights = rules.map(rule => 1 + 3 * (1 - this.accuracy(rule)));
+        let roll = random() * weights.reduce((a, b) => a + b, 0);
+        let i = 0;
+        while (i < rules.length - 1 && roll >= weights[i]) {
+            roll -= weights[i];
+            i++;
+        }
+        const items = byRule[rules[i]];
+        return items[level % items.length];
+    }
+
+    toJSON() {
+        return { rules: this.rules };
+    }
+}
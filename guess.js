@@ -0,0 +1,61 @@
+// Picture guess game: levels come from every word that has a picture.
+// A picture is an image path, an emoji or an inline SVG.
+
+// Letters learners mix up, by shape or by sound
+const CONFUSABLE = {
+    A: 'EOU', B: 'DPV', C: 'KSG', D: 'BPT', E: 'AIO', F: 'VPH', G: 'JQC', H: 'NMK',
+    I: 'EYL', J: 'GY', K: 'CQX', L: 'IT', M: 'NW', N: 'MU', O: 'UAQ', P: 'BQD',
+    Q: 'OGK', R: 'LP', S: 'CZX', T: 'DF', U: 'OVN', V: 'WUF', W: 'VM', X: 'KSZ',
+    Y: 'IJ', Z: 'SX'
+};
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+export function pictureKind(img) {
+    if (/^\s*<svg[\s>]/i.test(img)) return 'svg';
+    if (/\.(png|jpe?g|gif|webp|svg)$/i.test(img) || /^(\/|https?:|data:image\/)/.test(img)) return 'image';
+    return 'emoji';
+}
+
+// [{ img, answer, fa }] for every illustrated word that can be spelled with A-Z and spaces
+export function buildGuessPool(libraries) {
+    const pool = [];
+    const seen = new Set();
+    Object.values(libraries.categories).forEach(cat => {
+        cat.items.forEach(item => {
+            const answer = item.en.toUpperCase();
+            if (!item.img || !/^[A-Z]+( [A-Z]+)*$/.test(answer) || seen.has(answer)) return;
+            seen.add(answer);
+            pool.push({ img: item.img, answer, fa: item.fa });
+        });
+    });
+    return pool;
+}
+
+function gcd(a, b) {
+    return b ? gcd(b, a % b) : a;
+}
+
+// Every word once per round: short answers first in the first round, then
+// later rounds walk the pool with another stride so the order doesn't repeat
+export function guessForLevel(pool, level) {
+    const sorted = [...pool].sort((a, b) => a.answer.length - b.answer.length || (a.answer < b.answer ? -1 : 1));
+    const n = sorted.length;
+    let stride = 1 + (Math.floor(level / n) * 6) % n;
+    while (gcd(stride, n) !== 1) stride++;
+    return sorted[(level * stride) % n];
+}
+
+// Extra letters for the letter pool; `confusion` (0-1) is the share taken
+// from letters that look or sound like the ones in the answer
+export function extraLetters(answer, count, confusion, random = Math.random) {
+    const letters = answer.replace(/ /g, '');
+    let extras = '';
+    for (let i = 0; i < count; i++) {
+        const source = letters[Math.floor(random() * letters.length)];
+        const similar = CONFUSABLE[source] || '';
+        extras += similar && random() < confusion
+            ? similar[Math.floor(random() * similar.length)]
+            : ALPHABET[Math.floor(random() * ALPHABET.length)];
+    }
+    return extras;
+}
@@ -0,0 +1,52 @@
+// Hangman word pool and difficulty. Words come from the hangman list and every
+// category library; difficulty grows with word length and rare letters.
+
+export const HANGMAN_ALL = 'all';
+export const HANGMAN_LIST = 'hangman';
+
+// English letters from most to least common
+const LETTER_FREQUENCY = 'ETAOINSHRDLCUMWFGYPBVKJXQZ';
+
+export function letterRarity(letter) {
+    const idx = LETTER_FREQUENCY.indexOf(letter);
+    return idx === -1 ? 0 : idx / (LETTER_FREQUENCY.length - 1);
+}
+
+// Each distinct letter is one more to find; rare ones are harder to guess
+export function wordDifficulty(word) {
+    const letters = new Set(word.replace(/ /g, ''));
+    let rarity = 0;
+    letters.forEach(l => { rarity += letterRarity(l); });
+    return letters.size + 2 * rarity;
+}
+
+// [{ word, hint, fa, category }] for one category, the hangman list, or everything.
+// Category words use the category label as hint; only A-Z and spaces are playable,
+// and words under three letters are too easy to count.
+export function buildHangmanPool(libraries, category = HANGMAN_ALL) {
+    const pool = [];
+    const seen = new Set();
+    const add = entry => {
+        if (!/^[A-Z]+( [A-Z]+)*$/.test(entry.word) || entry.word.replace(/ /g, '').length < 3 || seen.has(entry.word)) return;
+        seen.add(entry.word);
+        pool.push(entry);
+    };
+    if (category === HANGMAN_ALL || category === HANGMAN_LIST) {
+        libraries.hangman.forEach(h => add({ word: h.word, hint: h.hint, fa: h.fa || '', category: HANGMAN_LIST }));
+    }
+    Object.keys(libraries.categories).forEach(name => {
+        if (category !== HANGMAN_ALL && category !== name) return;
+        const cat = libraries.categories[name];
+        cat.items.forEach(item => add({ word: item.en.toUpperCase(), hint: cat.label, fa: item.fa, category: name }));
+    });
+    return pool;
+}
+
+// Easy words on early levels, hard ones near the end; neighbouring levels vary
+// within a small window so the same word doesn't come back every time
+export function pickHangmanWord(pool, level, maxLevels) {
+    const sorted = [...pool].sort((a, b) => wordDifficulty(a.word) - wordDifficulty(b.word));
+    const target = Math.round(Math.min(1, level / maxLevels) * (sorted.length - 1));
+    const idx = Math.min(sorted.length - 1, Math.max(0, target + (level * 7) % 5 - 2));
+    return sorted[idx];
+}
@@ -1,5 +1,31 @@
 import gsap from 'gsap';
 import confetti from 'canvas-confetti';
+import { SpacedRepetition } from './srs.js';
+import { loadContentPacks, createEmptyLibraries } from './content.js';
+import { PROGRESS_KEY, PROGRESS_BACKUP_KEY, NewerProgressError, loadProgressFrom, emptyProgress, serializeProgress, migrateProgress, mergeProgressSaves } from './progress.js';
+import { BackupError, createBackup, parseBackup, encodeBackupCode, decodeBackupCode } from './backup.js';
+import { STREAK_KEY, GOAL_TYPES, GOAL_TARGETS, DailyGoal } from './streak.js';
+import { pickDistractors } from './distractors.js';
+import { gradeTypedAnswer, joinWords, escapeHtml } from './text.js';
+import { TIME_ATTACK_KEY, TIME_ATTACK_SECONDS, TIME_ATTACK_BONUS, TimeAttackRecords, questionTimeLimit } from './timeattack.js';
+import { buildGuessPool, guessForLevel, extraLetters, pictureKind } from './guess.js';
+import { HANGMAN_ALL, HANGMAN_LIST, buildHangmanPool, pickHangmanWord } from './hangman.js';
+import { acceptedOrders, buildChips, matchesOrder, nextHint } from './sentences.js';
+import { SETTINGS_KEY, normalizeSettings } from './settings.js';
+import { GRAMMAR_KEY, GRAMMAR_RULES, GrammarStats } from './grammar.js';
+import { numberToWords, ordinalToWords, ordinalSuffix, yearToWords } from './numbers.js';
+import { DAYS, MONTHS, jalaliToGregorian, jalaliDateForLevel, weekdayOf, englishDate, formatJalali, gregorianMonthLength } from './dates.js';
+import { clockStepForLevel, timeForLevel, classicTimePhrase, digitalTimePhrase, formatTime, handAngles, confusableTimes } from './clock.js';
+import { Delays } from './pause.js';
+import { GameSession, formatDuration } from './session.js';
+import { STATS_KEY, CODE_EVENTS, AnswerLog } from './stats.js';
+import { barChart, lineChart } from './charts.js';
+import { ACHIEVEMENTS_KEY, ACHIEVEMENTS, Achievements } from './achievements.js';
+import { PROFILES_KEY, DEFAULT_PROFILE, GUEST_PROFILE, AVATARS, ProfileList, ProfileStorage } from './profiles.js';
+import { ASSIGNMENT_PARAM, AssignmentError, isAssignmentLink, parseAssignment, encodeResultCode, decodeResultCode } from './assignment.js';
+import { SCORE_KEY, MAX_HEARTS, scoringRule, answerPoints, comboMultiplier, rankFor, PlayerScore } from './scoring.js';
+import { MISTAKES_KEY, REVIEW_STREAK_TO_CLEAR, MistakeNotebook } from './mistakes.js';
+import { LocalStorageAdapter, MemoryStorageAdapter, EitaaCloudAdapter, RestStorageAdapter, SyncedStore } from './storage.js';
 
 const GAME_TYPES = {
     GUESS: 'guess',
@@ -19,7 +45,82 @@ const GAME_TYPES = {
     OBJECTS: 'objects',
     CLOTHES: 'clothes',
     ADJECTIVES: 'adjectives',
-    VERBS: 'verbs'
+    VERBS: 'verbs',
+    LISTEN: 'listen',
+    TIME: 'time',
+    DATES: 'dates'
+};
+
+// Bundled content packs, merged in this order
+const CONTENT_PACKS = ['packs/core.json'];
+
+const MASTERY_KEY = 'learnita_v3_mastery';
+
+// Keys that follow the learner across devices when a remote storage is available
+const SYNCED_KEYS = [PROGRESS_KEY, MASTERY_KEY, STREAK_KEY, MISTAKES_KEY, SETTINGS_KEY, GRAMMAR_KEY, TIME_ATTACK_KEY, ACHIEVEMENTS_KEY, SCORE_KEY];
+
+// Keys every learner profile keeps its own copy of (see profiles.js)
+const LEARNER_KEYS = [
+    PROGRESS_KEY, PROGRESS_BACKUP_KEY, MASTERY_KEY, STREAK_KEY, MISTAKES_KEY, SETTINGS_KEY,
+    GRAMMAR_KEY, TIME_ATTACK_KEY, STATS_KEY, ACHIEVEMENTS_KEY, SCORE_KEY
+];
+
+// Days shown on the stats screen, and the answers a game needs to be ranked there
+const STATS_DAYS = 14;
+const STATS_MIN_ANSWERS = 10;
+
+// Games that can be switched to free-typing answers from the menu
+const TYPING_GAMES = [
+    GAME_TYPES.TRANSLATE, GAME_TYPES.ANIMAL, GAME_TYPES.JOBS, GAME_TYPES.FAMILY, GAME_TYPES.PLACES,
+    GAME_TYPES.OBJECTS, GAME_TYPES.CLOTHES, GAME_TYPES.ADJECTIVES, GAME_TYPES.VERBS, GAME_TYPES.LISTEN
+];
+
+// Seconds per question at level 0 when the per-question timer is on (see questionTimeLimit)
+const QUESTION_TIME = {
+    [GAME_TYPES.GUESS]: 40,
+    [GAME_TYPES.SENTENCE]: 40,
+    [GAME_TYPES.GRAMMAR]: 30,
+    [GAME_TYPES.HANGMAN]: 90,
+    [GAME_TYPES.DAYS]: 30,
+    [GAME_TYPES.MONTHS]: 30,
+    [GAME_TYPES.LISTEN]: 20,
+    [GAME_TYPES.TIME]: 25
+};
+const DEFAULT_QUESTION_TIME = 12;
+
+// Answer for grammar sentences without an error
+const GRAMMAR_NO_ERROR = 'جمله درست است';
+
+// Points a sentence-builder hint costs
+const SENTENCE_HINT_COST = 5;
+
+// Points a revealed hangman letter costs
+const HANGMAN_HINT_COST = 5;
+
+// Mixed review session built from the mistakes notebook (not a menu game, has no progress)
+const REVIEW_GAME = 'review';
+
+// Optional REST sync endpoint (see tools/mock-sync-server.js). Only set at build
+// time: every learner's data is sent there.
+const REMOTE_STORAGE_URL = '';
+
+// Content library each game draws from (games without one generate their own questions)
+const GAME_LIBRARIES = {
+    [GAME_TYPES.GUESS]: 'pictures',
+    [GAME_TYPES.TRANSLATE]: 'translate',
+    [GAME_TYPES.SENTENCE]: 'sentences',
+    [GAME_TYPES.GRAMMAR]: 'grammar',
+    [GAME_TYPES.HANGMAN]: 'hangman',
+    [GAME_TYPES.COLORS]: 'colors',
+    [GAME_TYPES.ANIMAL]: 'animals',
+    [GAME_TYPES.JOBS]: 'jobs',
+    [GAME_TYPES.FAMILY]: 'family',
+    [GAME_TYPES.PLACES]: 'places',
+    [GAME_TYPES.OBJECTS]: 'objects',
+    [GAME_TYPES.CLOTHES]: 'clothes',
+    [GAME_TYPES.ADJECTIVES]: 'adjectives',
+    [GAME_TYPES.VERBS]: 'verbs',
+    [GAME_TYPES.LISTEN]: 'words'
 };
 
 class App {
@@ -31,9 +132,58 @@ class App {
         this.timeLeft = 30;
         this.theme = 'dark';
         this.maxLevels = 600;
+        this.libraries = createEmptyLibraries();
+        this.translatePool = [];
+        this.allWords = [];
+        this.partOfSpeech = new Map();
+        this.picturePool = [];
+        this.syncedStorage = this.createStorage();
+        // Learner profiles on this device; `storage` holds the active profile's data
+        this.profiles = this.loadProfiles();
+        this.profileId = this.profiles.active;
+        this.storage = this.storageFor(this.profileId);
+        this.editingProfile = null;
+        this.newProfileAvatar = AVATARS[0];
         
         // Progress structure: { gameType: { level: 0, medals: 0, completed: false } }
+        // (saved as a versioned envelope, see progress.js)
         this.progress = this.loadProgress();
+        // Per-word Leitner boxes shared by all vocabulary games
+        this.mastery = this.loadMastery();
+        this.currentWord = null;
+        this.lastWord = null;
+        // Daily goal and streak
+        this.daily = this.loadDaily();
+        this.playClock = null;
+        // Wrong answers waiting for review
+        this.mistakeNotebook = this.loadMistakes();
+        this.currentQuestion = null;
+        this.settings = this.loadSettings();
+        this.typingActive = false;
+        // Per-rule accuracy in the grammar game
+        this.grammarStats = this.loadGrammarStats();
+        // Best time-attack session per game; `timeAttack` is the running session
+        this.timeAttackRecords = this.loadTimeAttackRecords();
+        this.timeAttack = null;
+        // Recent answers for the stats screen (this device only)
+        this.answerLog = this.loadAnswerLog();
+        this.questionShownAt = null;
+        this.statsGame = null;
+        // Unlocked achievements; `combo` counts correct answers in a row
+        this.achievements = this.loadAchievements();
+        this.combo = 0;
+        // Lifetime XP and hearts (see scoring.js); `score` is the open game's points
+        this.playerScore = this.loadPlayerScore();
+        this.questionTime = 0;
+        // Waits between questions, frozen while the game is paused
+        this.delays = new Delays();
+        this.paused = false;
+        // The open game's session, summarized when it ends
+        this.session = null;
+        this.lastSession = null;
+        this.reviewIds = null;
+        // The teacher assignment being played (see assignment.js)
+        this.assignment = null;
 
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         this.sounds = {};
@@ -61,10 +211,51 @@ class App {
             }
         }, { once: true });
 
+        // Push pending changes to remote storage before the app may be closed,
+        // and pause a running game while the app is out of sight
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) return;
+            // Pausing saves the play time, so it goes out with the flush
+            this.pauseGame();
+            this.storage.flush();
+        });
+        window.addEventListener('pagehide', () => this.pauseGame());
+        this.initEitaaPause();
+
+        // Physical keyboard for the free-typing mode
+        document.addEventListener('keydown', (e) => {
+            if (!this.typingActive || this.paused) return;
+            if (/^[a-z]$/i.test(e.key)) {
+                this.typeKey(e.key.toUpperCase());
+            } else if (e.key === ' ') {
+                e.preventDefault();
+                this.typeKey(' ');
+            } else if (e.key === 'Backspace') {
+                this.typeBackspace();
+            } else if (e.key === 'Enter') {
+                this.checkTypedAnswer();
+            }
+        });
+
         // Menu items
         const menuGrid = document.getElementById('game-menu-grid');
         if (menuGrid) {
             menuGrid.addEventListener('click', (e) => {
+                const typingToggle = e.target.closest('[data-typing-toggle]');
+                if (typingToggle) {
+                    this.toggleTypingMode(typingToggle.dataset.typingToggle);
+                    return;
+                }
+                const timerToggle = e.target.closest('[data-timer-toggle]');
+                if (timerToggle) {
+                    this.toggleQuestionTimer(timerToggle.dataset.timerToggle);
+                    return;
+                }
+                const attackBtn = e.target.closest('[data-time-attack]');
+                if (attackBtn) {
+                    this.startTimeAttack(attackBtn.dataset.timeAttack);
+                    return;
+                }
                 const btn = e.target.closest('[data-game]');
                 if (btn) {
                     this.startGame(btn.dataset.game);
@@ -72,16 +263,48 @@ class App {
             });
         }
 
+        // 🔊 buttons in session summaries (the summary screen and time-attack results)
+        document.addEventListener('click', (e) => {
+            const speakBtn = e.target.closest('[data-speak]');
+            if (speakBtn) this.speak(speakBtn.dataset.speak, speakBtn.dataset.lang);
+        });
+
+        // Answer buttons keep their text in data attributes, so quotes in it can't break the markup
+        document.getElementById('game-content').addEventListener('click', (e) => {
+            const choice = e.target.closest('[data-choice]');
+            if (choice) {
+                this.checkChoice(choice.dataset.choice, choice.dataset.correct);
+                return;
+            }
+            const correction = e.target.closest('[data-correction]');
+            if (correction) this.checkGrammarCorrection(correction.dataset.correction);
+        });
+
         // Standard Browser Back Button Handling
         window.addEventListener('popstate', (event) => {
             const gameScreen = document.getElementById('game-screen');
             const medalScreen = document.getElementById('medals-screen');
+            const settingsScreen = document.getElementById('settings-screen');
+            const mistakesScreen = document.getElementById('mistakes-screen');
+            const summaryScreen = document.getElementById('summary-screen');
+            const statsScreen = document.getElementById('stats-screen');
+            const profilesScreen = document.getElementById('profiles-screen');
             const modal = document.getElementById('modal-overlay');
 
             if (modal && !modal.classList.contains('hidden')) {
                 this.closeModal();
             } else if (medalScreen && !medalScreen.classList.contains('hidden')) {
                 this.hideMedals();
+            } else if (statsScreen && !statsScreen.classList.contains('hidden')) {
+                this.hideStats(true);
+            } else if (profilesScreen && !profilesScreen.classList.contains('hidden')) {
+                this.hideProfiles(true);
+            } else if (settingsScreen && !settingsScreen.classList.contains('hidden')) {
+                this.hideSettings(true);
+            } else if (mistakesScreen && !mistakesScreen.classList.contains('hidden')) {
+                this.hideMistakes(true);
+            } else if (summaryScreen && !summaryScreen.classList.contains('hidden')) {
+                this.hideSummary(true);
             } else if (gameScreen && !gameScreen.classList.contains('hidden')) {
                 this.showMenu(true); // true means don't trigger history.back()
             }
@@ -91,7 +314,11 @@ class App {
     async init() {
         document.body.classList.add('dark');
         this.updateMenuUI();
+        this.updateProfileUI();
         this.initEitaaBackButton();
+        this.contentReady = this.loadContent();
+        this.assignmentLink = this.readAssignmentLink();
+        this.syncStorage();
         
         // Safety fallback for splash screen
         this.splashTimeout = setTimeout(() => this.finishSplash(), 4000);
@@ -132,6 +359,16 @@ class App {
                 document.body.style.overflow = 'auto';
                 document.getElementById('main-menu').classList.remove('hidden');
                 gsap.fromTo('#main-menu', { opacity: 0, scale: 0.9 }, { opacity: 1, scale: 1, duration: 0.5 });
+                this.showContentErrors();
+                if (this.progressLocked && !this.contentErrors) {
+                    this.showModal({
+                        title: 'نسخه قدیمی برنامه',
+                        desc: 'پیشرفت شما با نسخه جدیدتری ذخیره شده است. برای ذخیره پیشرفت، برنامه را ببندید و دوباره باز کنید تا به‌روز شود.',
+                        confirmText: 'باشه',
+                        cancelText: null
+                    });
+                }
+                if (this.assignmentLink) this.openAssignment(this.assignmentLink);
             }
         });
     }
@@ -161,7 +398,7 @@ class App {
         }
     }
 
-    speak(text, lang = 'en-US', onEndCallback = null) {
+    speak(text, lang = 'en-US', onEndCallback = null, rate = 0.85) {
         if (!this.synth) {
             if (onEndCallback) onEndCallback();
             return;
@@ -175,7 +412,7 @@ class App {
         if (voice) utterance.voice = voice;
         
         utterance.lang = lang;
-        utterance.rate = 0.85; // Slightly slower for clarity
+        utterance.rate = rate; // Slightly slower than normal by default, for clarity
         utterance.pitch = 1.0;
         
         if (onEndCallback) {
@@ -185,8 +422,30 @@ class App {
         this.synth.speak(utterance);
     }
 
+    // Resolves with a voice for the language, or null. Voices may load asynchronously.
+    findVoice(lang = 'en') {
+        if (!this.synth) return Promise.resolve(null);
+        const pick = () => this.synth.getVoices().find(v => v.lang.toLowerCase().startsWith(lang)) || null;
+        if (this.synth.getVoices().length) return Promise.resolve(pick());
+        return new Promise(resolve => {
+            const done = () => {
+                this.synth.removeEventListener('voiceschanged', done);
+                clearTimeout(timeout);
+                resolve(pick());
+            };
+            const timeout = setTimeout(done, 1500);
+            this.synth.addEventListener('voiceschanged', done);
+        });
+    }
+
     showMenu(fromPopState = false) {
+        this.endPause();
+        this.delays.clear();
+        const session = this.endSession();
         this.stopTimer();
+        this.stopTimeAttack();
+        this.stopPlayClock();
+        this.assignment = null;
         this.updateEitaaBackButton(false);
         
         // If we are showing menu manually (not via physical back button), 
@@ -198,17 +457,52 @@ class App {
         gsap.to('#game-screen', { opacity: 0, duration: 0.3, onComplete: () => {
             document.getElementById('game-screen').classList.add('hidden');
             document.getElementById('main-menu').classList.remove('hidden');
+            this.updateScoreUI();
             gsap.fromTo('#main-menu', { opacity: 0, scale: 0.9 }, { opacity: 1, scale: 1, duration: 0.5 });
+            if (session) this.showSummary(session);
         }});
     }
 
-    startGame(type) {
+    // Resolves to false (and tells the learner) when the game's content didn't load
+    async checkGameContent(type) {
         this.playSound('click');
+        await this.contentReady;
+        const libraryName = GAME_LIBRARIES[type];
+        if (libraryName && !this.getVocabData(libraryName).length) {
+            this.showModal({
+                title: 'محتوا در دسترس نیست',
+                desc: 'محتوای این بازی بارگذاری نشد. لطفا بعدا دوباره امتحان کنید.',
+                confirmText: 'باشه',
+                cancelText: null
+            });
+            return false;
+        }
+        return true;
+    }
+
+    async startGame(type) {
+        if (!(await this.checkGameContent(type))) return;
+        if (this.outOfHearts(type)) {
+            this.showModal({
+                title: 'قلب‌هایت تمام شد 💔',
+                desc: `قلب بعدی ${this.nextHeartText()} دیگر پر می‌شود. تا آن موقع می‌توانی اشتباهاتت را مرور کنی یا یک دور زمان‌دار بازی کنی.`,
+                confirmText: 'باشه',
+                cancelText: null
+            });
+            return;
+        }
+
         const gameProgress = this.progress[type] || { level: 0, medals: 0, completed: false };
 
         if (gameProgress.completed) {
             this.pendingGameType = type;
-            this.showModal();
+            this.showModal({
+                title: 'آیا مطمئن هستید؟',
+                desc: 'این مینی‌گیم قبلا کامل شده است. آیا می‌خواهید دوباره از مرحله ۱ شروع کنید؟',
+                confirmText: 'بله، شروع مجدد',
+                cancelText: 'انصراف',
+                onConfirm: () => this.confirmReset()
+            });
             return;
         }
 
@@ -217,24 +511,39 @@ class App {
 
     actualStart(type, level = 0) {
         this.currentGame = type;
+        this.currentWord = null;
+        this.currentQuestion = null;
         this.score = 0;
         this.currentLevel = level;
+        this.combo = 0;
+        this.session = new GameSession(type, level);
         document.getElementById('score').innerText = '۰';
+        this.updateScoreUI();
         
         // Push state to handle back button
-        history.pushState('subview', '');
+        if (history.state !== 'subview') history.pushState('subview', '');
 
         document.getElementById('main-menu').classList.add('hidden');
         const screen = document.getElementById('game-screen');
         screen.classList.remove('hidden');
         this.updateEitaaBackButton(true);
         gsap.fromTo(screen, { opacity: 0, y: 20 }, { opacity: 1, y: 0, duration: 0.5 });
+        this.startPlayClock();
 
         this.renderLevel();
     }
 
-    showModal() {
+    // Generic dialog; pass cancelText: null for a single-button notice
+    showModal({ title, desc, confirmText = 'باشه', cancelText = 'انصراف', onConfirm = null } = {}) {
         const modal = document.getElementById('modal-overlay');
+        const cancelBtn = document.getElementById('modal-cancel');
+        document.getElementById('modal-title').innerText = title;
+        document.getElementById('modal-desc').innerHTML = desc;
+        document.getElementById('modal-confirm').innerText = confirmText;
+        cancelBtn.innerText = cancelText || '';
+        cancelBtn.classList.toggle('hidden', !cancelText);
+        this.modalAction = onConfirm;
+
         modal.classList.remove('hidden');
         modal.classList.add('flex');
         gsap.fromTo('#modal-content', { scale: 0.8, opacity: 0 }, { scale: 1, opacity: 1, duration: 0.3 });
@@ -248,6 +557,16 @@ class App {
         }});
     }
 
+    confirmModal() {
+        const action = this.modalAction;
+        this.modalAction = null;
+        if (action) {
+            action();
+        } else {
+            this.closeModal();
+        }
+    }
+
     confirmReset() {
         this.closeModal();
         if (this.pendingGameType) {
@@ -259,25 +578,307 @@ class App {
         }
     }
 
-    loadProgress() {
-        const saved = localStorage.getItem('learnita_v3_progress');
+    // --- STORAGE ---
+    createStorage() {
+        let local;
+        try {
+            localStorage.setItem('learnita_v3_probe', '1');
+            localStorage.removeItem('learnita_v3_probe');
+            local = new LocalStorageAdapter();
+        } catch (e) {
+            console.warn('localStorage unavailable, progress will not persist', e);
+            local = new MemoryStorageAdapter();
+        }
+
+        let remote = null;
+        if (REMOTE_STORAGE_URL) {
+            remote = new RestStorageAdapter(REMOTE_STORAGE_URL, this.getUserId(local), this.getEitaaInitData());
+        } else if (EitaaCloudAdapter.isAvailable()) {
+            remote = new EitaaCloudAdapter();
+        }
+
+        const gameTypes = Object.values(GAME_TYPES);
+        return new SyncedStore(local, remote, {
+            syncedKeys: SYNCED_KEYS,
+            resolvers: {
+                [PROGRESS_KEY]: (a, b) => mergeProgressSaves(a, b, gameTypes),
+                [MASTERY_KEY]: (a, b) => JSON.stringify(SpacedRepetition.merge(JSON.parse(a), JSON.parse(b)))
+            }
+        });
+    }
+
+    loadProfiles() {
+        const saved = this.syncedStorage.getItem(PROFILES_KEY);
         if (saved) {
             try {
-                return JSON.parse(saved);
+                return new ProfileList(JSON.parse(saved));
             } catch (e) {
-                console.error("Failed to parse progress", e);
+                console.error("Failed to parse profiles", e);
             }
         }
-        
-        const initialProgress = {};
-        Object.keys(GAME_TYPES).forEach(k => {
-            initialProgress[GAME_TYPES[k]] = { level: 0, medals: 0, completed: false };
-        });
-        return initialProgress;
+        return new ProfileList({}, this.getEitaaName() || 'من');
+    }
+
+    // The profile list belongs to the device and is never synced
+    saveProfiles() {
+        this.syncedStorage.setItem(PROFILES_KEY, JSON.stringify(this.profiles));
+    }
+
+    // The default profile is the only one synced: the cloud copy belongs to the Eitaa account.
+    // Guests play in memory, so nothing they do is saved.
+    storageFor(id) {
+        if (id === DEFAULT_PROFILE) return this.syncedStorage;
+        if (id === GUEST_PROFILE) return new ProfileStorage(new MemoryStorageAdapter(), id);
+        return new ProfileStorage(this.syncedStorage.local, id);
+    }
+
+    getEitaaName() {
+        try {
+            const user = window.Eitaa && Eitaa.WebApp && Eitaa.WebApp.initDataUnsafe && Eitaa.WebApp.initDataUnsafe.user;
+            if (user && user.first_name) return user.first_name;
+        } catch (e) {}
+        return null;
+    }
+
+    // The signed launch data from Eitaa; the sync backend checks it before trusting the user id
+    getEitaaInitData() {
+        try {
+            return (window.Eitaa && Eitaa.WebApp && Eitaa.WebApp.initData) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Eitaa user id when running inside Eitaa, otherwise a random id for this device
+    getUserId(local) {
+        try {
+            const user = window.Eitaa && Eitaa.WebApp && Eitaa.WebApp.initDataUnsafe && Eitaa.WebApp.initDataUnsafe.user;
+            if (user && user.id) return `eitaa-${user.id}`;
+        } catch (e) {}
+        let id = local.getItem('learnita_v3_device_id');
+        if (!id) {
+            id = `device-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+            local.setItem('learnita_v3_device_id', id);
+        }
+        return id;
+    }
+
+    async syncStorage() {
+        const status = document.getElementById('sync-status');
+        if (!this.storage.remote) {
+            if (status) {
+                status.innerText = this.profileId === DEFAULT_PROFILE && !this.syncedStorage.remote
+                    ? 'همگام‌سازی ابری در این محیط در دسترس نیست.'
+                    : 'همگام‌سازی ابری فقط برای پروفایل اصلی فعال است.';
+            }
+            return;
+        }
+        if (status) status.innerText = 'در حال همگام‌سازی...';
+        const storage = this.storage;
+        try {
+            const changed = await storage.sync();
+            // The learner switched profiles while the sync ran
+            if (storage !== this.storage) return;
+            if (changed.includes(PROGRESS_KEY)) this.progress = this.loadProgress();
+            if (changed.includes(MASTERY_KEY)) this.mastery = this.loadMastery();
+            if (changed.includes(STREAK_KEY)) this.daily = this.loadDaily();
+            if (changed.includes(MISTAKES_KEY)) this.mistakeNotebook = this.loadMistakes();
+            if (changed.includes(SETTINGS_KEY)) this.settings = this.loadSettings();
+            if (changed.includes(GRAMMAR_KEY)) this.grammarStats = this.loadGrammarStats();
+            if (changed.includes(TIME_ATTACK_KEY)) this.timeAttackRecords = this.loadTimeAttackRecords();
+            if (changed.includes(ACHIEVEMENTS_KEY)) this.achievements = this.loadAchievements();
+            if (changed.includes(SCORE_KEY)) this.playerScore = this.loadPlayerScore();
+            if (changed.length) this.updateMenuUI();
+            if (status) status.innerText = `آخرین همگام‌سازی: ${new Date().toLocaleTimeString('fa-IR')}`;
+        } catch (e) {
+            console.warn('Storage sync failed', e);
+            if (status) status.innerText = 'همگام‌سازی ناموفق بود.';
+        }
+    }
+
+    loadProgress() {
+        this.progressLocked = false;
+        try {
+            // Older saves (and older key names) are migrated to the current format here
+            return loadProgressFrom(this.storage, Object.values(GAME_TYPES));
+        } catch (e) {
+            if (!(e instanceof NewerProgressError)) throw e;
+            // An older cached build opened after an update: play, but keep the newer save intact
+            console.warn('Progress is read-only in this version', e);
+            this.progressLocked = true;
+            return emptyProgress(Object.values(GAME_TYPES));
+        }
     }
 
     saveProgress() {
-        localStorage.setItem('learnita_v3_progress', JSON.stringify(this.progress));
+        if (this.progressLocked) return;
+        this.storage.setItem(PROGRESS_KEY, serializeProgress(this.progress));
+    }
+
+    loadMastery() {
+        const saved = this.storage.getItem(MASTERY_KEY);
+        if (saved) {
+            try {
+                return new SpacedRepetition(JSON.parse(saved));
+            } catch (e) {
+                console.error("Failed to parse mastery", e);
+            }
+        }
+        return new SpacedRepetition();
+    }
+
+    saveMastery() {
+        this.storage.setItem(MASTERY_KEY, JSON.stringify(this.mastery));
+    }
+
+    loadDaily() {
+        const saved = this.storage.getItem(STREAK_KEY);
+        if (saved) {
+            try {
+                return new DailyGoal(JSON.parse(saved));
+            } catch (e) {
+                console.error("Failed to parse streak", e);
+            }
+        }
+        return new DailyGoal();
+    }
+
+    saveDaily() {
+        this.storage.setItem(STREAK_KEY, JSON.stringify(this.daily));
+    }
+
+    loadMistakes() {
+        const saved = this.storage.getItem(MISTAKES_KEY);
+        if (saved) {
+            try {
+                return new MistakeNotebook(JSON.parse(saved));
+            } catch (e) {
+                console.error("Failed to parse mistakes", e);
+            }
+        }
+        return new MistakeNotebook();
+    }
+
+    saveMistakes() {
+        this.storage.setItem(MISTAKES_KEY, JSON.stringify(this.mistakeNotebook));
+    }
+
+    loadGrammarStats() {
+        const saved = this.storage.getItem(GRAMMAR_KEY);
+        if (saved) {
+            try {
+                return new GrammarStats(JSON.parse(saved));
+            } catch (e) {
+                console.error("Failed to parse grammar stats", e);
+            }
+        }
+        return new GrammarStats();
+    }
+
+    saveGrammarStats() {
+        this.storage.setItem(GRAMMAR_KEY, JSON.stringify(this.grammarStats));
+    }
+
+    loadTimeAttackRecords() {
+        const saved = this.storage.getItem(TIME_ATTACK_KEY);
+        if (saved) {
+            try {
+                return new TimeAttackRecords(JSON.parse(saved));
+            } catch (e) {
+                console.error("Failed to parse time attack records", e);
+            }
+        }
+        return new TimeAttackRecords();
+    }
+
+    saveTimeAttackRecords() {
+        this.storage.setItem(TIME_ATTACK_KEY, JSON.stringify(this.timeAttackRecords));
+    }
+
+    loadPlayerScore() {
+        const saved = this.storage.getItem(SCORE_KEY);
+        if (saved) {
+            try {
+                return new PlayerScore(JSON.parse(saved));
+            } catch (e) {
+                console.error("Failed to parse player score", e);
+            }
+        }
+        return new PlayerScore();
+    }
+
+    savePlayerScore() {
+        this.storage.setItem(SCORE_KEY, JSON.stringify(this.playerScore));
+    }
+
+    loadAchievements() {
+        const saved = this.storage.getItem(ACHIEVEMENTS_KEY);
+        if (saved) {
+            try {
+                return new Achievements(JSON.parse(saved));
+            } catch (e) {
+                console.error("Failed to parse achievements", e);
+            }
+        }
+        return new Achievements();
+    }
+
+    saveAchievements() {
+        this.storage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(this.achievements));
+    }
+
+    loadAnswerLog() {
+        const saved = this.storage.getItem(STATS_KEY);
+        if (saved) {
+            try {
+                return new AnswerLog(JSON.parse(saved));
+            } catch (e) {
+                console.error("Failed to parse answer log", e);
+            }
+        }
+        return new AnswerLog();
+    }
+
+    saveAnswerLog() {
+        this.storage.setItem(STATS_KEY, JSON.stringify(this.answerLog));
+    }
+
+    loadSettings() {
+        const saved = this.storage.getItem(SETTINGS_KEY);
+        if (saved) {
+            try {
+                return normalizeSettings(JSON.parse(saved));
+            } catch (e) {
+                console.error("Failed to parse settings", e);
+            }
+        }
+        return normalizeSettings();
+    }
+
+    saveSettings() {
+        this.storage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    }
+
+    // Describes the question on screen so a wrong answer can be logged and reviewed later
+    setQuestion(prompt, answer, extra = {}) {
+        this.currentQuestion = { game: this.currentGame, prompt: String(prompt), answer: String(answer), ...extra };
+    }
+
+    // Picks the question word for vocabulary games from due/weak words
+    pickWord(library) {
+        const data = this.mastery.pickNext(library, this.currentLevel, { exclude: this.lastWord });
+        this.currentWord = data.en;
+        return data;
+    }
+
+    // Records the answer for the word on screen (once per question)
+    recordWordAnswer(isCorrect) {
+        if (!this.currentWord) return;
+        if (this.session && !this.mastery.getRecord(this.currentWord)) this.session.meetWord(this.currentWord);
+        this.mastery.record(this.currentWord, isCorrect);
+        this.lastWord = this.currentWord;
+        this.currentWord = null;
+        this.saveMastery();
     }
 
     updateMenuUI() {
@@ -289,8 +890,8 @@ class App {
                 const prog = this.progress[type] || { level: 0, medals: 0, completed: false };
                 
                 let html = '';
-                // Keep the "NEW" badge for adjectives and verbs if they haven't been completed much
-                if ((type === GAME_TYPES.ADJECTIVES || type === GAME_TYPES.VERBS) && !prog.completed && prog.level < 5) {
+                // Keep the "NEW" badge for the newest games if they haven't been completed much
+                if ((type === GAME_TYPES.ADJECTIVES || type === GAME_TYPES.VERBS || type === GAME_TYPES.LISTEN || type === GAME_TYPES.TIME || type === GAME_TYPES.DATES) && !prog.completed && prog.level < 5) {
                     html += `<div class="bg-red-500 text-white text-[10px] px-2 py-0.5 rounded-full font-bold">جدید</div>`;
                 }
 
@@ -303,8 +904,121 @@ class App {
                     html += `<div class="bg-blue-500/80 text-white text-[10px] px-2 py-0.5 rounded-full font-bold">Lvl ${prog.level + 1}</div>`;
                 }
                 badge.innerHTML = html;
+
+                if (TYPING_GAMES.includes(type)) {
+                    let toggle = btn.querySelector('.typing-toggle');
+                    if (!toggle) {
+                        toggle = document.createElement('button');
+                        toggle.className = 'typing-toggle absolute top-2 left-2 w-7 h-7 rounded-full glass text-sm flex items-center justify-center';
+                        toggle.dataset.typingToggle = type;
+                        toggle.innerText = '⌨️';
+                        btn.appendChild(toggle);
+                    }
+                    const on = !!this.settings.typing[type];
+                    toggle.classList.toggle('opacity-40', !on);
+                    toggle.classList.toggle('bg-blue-600', on);
+                    toggle.title = on ? 'حالت تایپ: روشن' : 'حالت تایپ: خاموش';
+                }
+
+                let timerToggle = btn.querySelector('.timer-toggle');
+                if (!timerToggle) {
+                    timerToggle = document.createElement('button');
+                    timerToggle.className = 'timer-toggle absolute bottom-2 right-2 w-7 h-7 rounded-full glass text-sm flex items-center justify-center';
+                    timerToggle.dataset.timerToggle = type;
+                    timerToggle.innerText = '⏱️';
+                    btn.appendChild(timerToggle);
+
+                    const attack = document.createElement('button');
+                    attack.className = 'absolute bottom-2 left-2 w-7 h-7 rounded-full glass text-sm flex items-center justify-center';
+                    attack.dataset.timeAttack = type;
+                    attack.innerText = '⚡';
+                    attack.title = `زمان‌دار: ${TIME_ATTACK_SECONDS} ثانیه`;
+                    btn.appendChild(attack);
+                }
+                const timed = !!this.settings.timers[type];
+                timerToggle.classList.toggle('opacity-40', !timed);
+                timerToggle.classList.toggle('bg-blue-600', timed);
+                timerToggle.title = timed ? 'زمان‌سنج هر سؤال: روشن' : 'زمان‌سنج هر سؤال: خاموش';
             }
         });
+        this.updateStreakUI();
+        this.updateScoreUI();
+    }
+
+    // --- DAILY GOAL & STREAK ---
+    updateStreakUI() {
+        this.daily.refresh();
+        const { streak, today, goal } = this.daily;
+        const btn = document.getElementById('streak-btn');
+        if (btn) {
+            document.getElementById('streak-count').innerText = streak.count;
+            btn.classList.toggle('opacity-50', !today.reached);
+        }
+
+        const panel = document.getElementById('goal-progress');
+        if (!panel) return;
+        const percent = Math.round(this.daily.getProgress() * 100);
+        const done = goal.type === GOAL_TYPES.MINUTES ? `${Math.floor(today.seconds / 60)} از ${goal.target} دقیقه` : `${today.correct} از ${goal.target} جواب درست`;
+        document.getElementById('goal-bar').style.width = `${percent}%`;
+        document.getElementById('goal-text').innerText = today.reached ? `هدف امروز کامل شد! (${done})` : `امروز: ${done}`;
+        document.getElementById('streak-info').innerText = `🔥 ${streak.count} روز پیاپی · بهترین: ${streak.best} · ❄️ ${streak.freezes}`;
+
+        document.querySelectorAll('[data-goal-type]').forEach(b => {
+            b.classList.toggle('bg-blue-600', b.dataset.goalType === goal.type);
+        });
+        const targets = document.getElementById('goal-targets');
+        targets.innerHTML = GOAL_TARGETS[goal.type].map(t => `
+            <button onclick="window.app.setDailyGoal('${goal.type}', ${t})" class="glass py-2 rounded-xl text-sm font-bold ${t === goal.target ? 'bg-blue-600' : ''}">${t}</button>
+        `).join('');
+    }
+
+    setDailyGoal(type, target = GOAL_TARGETS[type][1]) {
+        this.playSound('click');
+        const reached = this.daily.setGoal(type, target);
+        this.saveDaily();
+        this.updateStreakUI();
+        if (reached) this.celebrateDailyGoal();
+    }
+
+    recordDailyCorrect() {
+        const reached = this.daily.recordCorrect();
+        this.saveDaily();
+        this.updateStreakUI();
+        if (reached) this.celebrateDailyGoal(2000);
+    }
+
+    // Counts minutes played while a game is open and visible. The time is saved
+    // with answers, on pause and on leaving the game; saving every tick would
+    // send a remote write every 5 s
+    startPlayClock() {
+        clearInterval(this.playClock);
+        this.playClock = setInterval(() => {
+            if (document.hidden) return;
+            const reached = this.daily.addTime(5);
+            if (reached) {
+                this.saveDaily();
+                this.updateStreakUI();
+                this.celebrateDailyGoal();
+            }
+        }, 5000);
+    }
+
+    stopPlayClock() {
+        if (this.playClock) this.saveDaily();
+        clearInterval(this.playClock);
+        this.playClock = null;
+        this.updateStreakUI();
+    }
+
+    celebrateDailyGoal(delay = 0) {
+        this.checkAchievements('goal', { streak: this.daily.streak.count });
+        this.delays.add(() => {
+            this.playSound('success');
+            this.showFeedback('🔥', `هدف امروز کامل شد! ${this.daily.streak.count} روز پیاپی`);
+            const burst = originX => confetti({ particleCount: 150, spread: 90, origin: { x: originX, y: 0.7 } });
+            burst(0.2);
+            burst(0.8);
+        }, delay);
     }
 
     showMedals() {
@@ -336,6 +1050,7 @@ class App {
         if (!hasMedals) {
             grid.innerHTML = '<p class="col-span-2 text-center opacity-50 py-10">هنوز مدالی کسب نکرده‌اید!</p>';
         }
+        this.renderAchievements();
 
         screen.classList.remove('hidden');
         gsap.fromTo(screen, { y: '100%' }, { y: 0, duration: 0.4, ease: 'power2.out' });
@@ -350,15 +1065,774 @@ class App {
         gsap.to(screen, { y: '100%', duration: 0.3, onComplete: () => screen.classList.add('hidden') });
     }
 
+    // --- ACHIEVEMENTS (rules in achievements.js) ---
+    checkAchievements(event, data) {
+        const earned = this.achievements.check(event, data);
+        if (!earned.length) return;
+        this.saveAchievements();
+        earned.forEach((a, i) => this.showAchievementUnlock(a, i * 1.5));
+    }
+
+    checkAnswerAchievements(isCorrect) {
+        // A game counts as started once it has a level or a medal (the open one counts too)
+        const started = p => p && (p.level > 0 || p.medals > 0 || p.completed);
+        const gamesLeft = Object.values(GAME_TYPES).filter(t => t !== this.currentGame && !started(this.progress[t])).length;
+        this.checkAchievements('answer', {
+            game: this.currentGame,
+            correct: isCorrect,
+            combo: this.combo,
+            ms: this.answerMs(),
+            misses: this.currentGame === GAME_TYPES.HANGMAN ? this.mistakes : null,
+            mastered: this.mastery.counts().mastered,
+            gamesLeft
+        });
+    }
+
+    // Slides a badge in from the top; several unlocks are staggered by `delay` seconds.
+    // Rank-ups use it too, with their own heading.
+    showAchievementUnlock(achievement, delay = 0, heading = 'دستاورد جدید!') {
+        const toast = document.createElement('div');
+        toast.className = 'fixed top-4 left-1/2 z-[110] glass rounded-2xl px-5 py-3 flex items-center gap-3 shadow-2xl pointer-events-none';
+        toast.style.opacity = 0;
+        toast.innerHTML = `
+            <div class="achievement-icon text-4xl">${achievement.icon}</div>
+            <div>
+                <div class="text-xs text-yellow-400 font-bold">${heading}</div>
+                <div class="font-bold">${achievement.title}</div>
+            </div>
+        `;
+        document.body.appendChild(toast);
+        gsap.timeline({ delay, onStart: () => this.playSound('success'), onComplete: () => toast.remove() })
+            .fromTo(toast, { xPercent: -50, y: -120, opacity: 0 }, { y: 0, opacity: 1, duration: 0.5, ease: 'back.out' })
+            .fromTo(toast.querySelector('.achievement-icon'), { scale: 0.2, rotation: -90 }, { scale: 1, rotation: 0, duration: 0.8, ease: 'elastic.out(1, 0.5)' }, '-=0.2')
+            .to(toast, { y: -120, opacity: 0, duration: 0.4, delay: 2 });
+    }
+
+    // Locked entries stay visible (dimmed) so the learner knows what to aim for
+    renderAchievements() {
+        document.getElementById('achievements-count').innerText = `${this.achievements.count} از ${ACHIEVEMENTS.length}`;
+        document.getElementById('achievements-grid').innerHTML = ACHIEVEMENTS.map(a => {
+            const unlocked = this.achievements.isUnlocked(a.id);
+            return `
+                <div class="glass p-4 rounded-3xl flex flex-col items-center text-center ${unlocked ? '' : 'opacity-40'}">
+                    <div class="text-4xl mb-2 ${unlocked ? '' : 'grayscale'}">${a.icon}</div>
+                    <div class="font-bold text-sm mb-1">${a.title}</div>
+                    <div class="text-xs opacity-70">${a.desc}</div>
+                    ${unlocked ? `<div class="text-[10px] text-yellow-400 font-bold mt-1">${new Date(this.achievements.unlocked[a.id]).toLocaleDateString('fa-IR')}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    showStats() {
+        this.playSound('click');
+        this.updateEitaaBackButton(true);
+        history.pushState('subview', '');
+        this.renderStats();
+        const screen = document.getElementById('stats-screen');
+        screen.classList.remove('hidden');
+        gsap.fromTo(screen, { y: '100%' }, { y: 0, duration: 0.4, ease: 'power2.out' });
+    }
+
+    hideStats(fromPopState = false) {
+        this.updateEitaaBackButton(false);
+        if (!fromPopState && history.state === 'subview') {
+            history.back();
+        }
+        const screen = document.getElementById('stats-screen');
+        gsap.to(screen, { y: '100%', duration: 0.3, onComplete: () => screen.classList.add('hidden') });
+    }
+
+    selectStatsGame(game) {
+        this.playSound('click');
+        this.statsGame = game;
+        this.renderStats();
+    }
+
+    renderStats() {
+        const body = document.getElementById('stats-body');
+        const words = this.mastery.counts();
+        const wordsHtml = `
+            <div class="glass p-4 rounded-2xl text-center">
+                <div class="text-xl font-bold gradient-text">${words.mastered} / ${words.seen}</div>
+                <div class="text-xs opacity-70 mt-1">کلمات تسلط‌یافته / دیده‌شده</div>
+            </div>
+        `;
+        if (!this.answerLog.size) {
+            body.innerHTML = wordsHtml + '<p class="text-center opacity-50 py-10">هنوز پاسخی ثبت نشده است. بعد از چند بازی آمار اینجا نمایش داده می‌شود.</p>';
+            return;
+        }
+
+        const days = this.answerLog.daily(STATS_DAYS);
+        // Day of month under every third bar, ending with today
+        const labels = days.map((d, i) => (days.length - 1 - i) % 3 === 0 ? String(Number(d.day.slice(8))) : '');
+        const games = this.answerLog.byGame();
+        if (!games.some(g => g.game === this.statsGame)) this.statsGame = games[0].game;
+        const gameDays = this.answerLog.daily(STATS_DAYS, this.statsGame);
+        const game = games.find(g => g.game === this.statsGame);
+        const avg = this.answerLog.averageResponseMs();
+        const gameAvg = this.answerLog.averageResponseMs(this.statsGame);
+        const seconds = ms => `${(ms / 1000).toFixed(1)} ثانیه`;
+
+        // The better half of the ranked games are strengths, the other half weaknesses
+        const ranking = this.answerLog.ranking(STATS_MIN_ANSWERS);
+        const half = Math.ceil(ranking.length / 2);
+        const strongest = ranking.slice(0, Math.min(3, half));
+        const weakest = ranking.slice(half).slice(-3).reverse();
+        const percent = ratio => `${Math.round(ratio * 100)}%`;
+        const rankRow = (g, color) => `
+            <div class="flex justify-between items-center glass p-3 rounded-2xl text-sm">
+                <span>${this.getGameName(g.game)}</span>
+                <span class="${color} font-bold">${percent(g.accuracy)} <span class="text-xs opacity-60 font-normal">(${g.total} پاسخ)</span></span>
+            </div>
+        `;
+
+        body.innerHTML = `
+            <div class="grid grid-cols-2 gap-3">
+                ${wordsHtml}
+                <div class="glass p-4 rounded-2xl text-center">
+                    <div class="text-xl font-bold gradient-text">${avg === null ? '-' : seconds(avg)}</div>
+                    <div class="text-xs opacity-70 mt-1">میانگین زمان پاسخ</div>
+                </div>
+            </div>
+
+            <div class="glass p-4 rounded-2xl">
+                <div class="font-bold mb-3">پاسخ‌ها در ${STATS_DAYS} روز اخیر</div>
+                ${barChart(days.map(d => d.total), { labels })}
+            </div>
+
+            <div class="glass p-4 rounded-2xl">
+                <div class="font-bold mb-3">دقت هر بازی در طول زمان</div>
+                <div class="flex gap-2 w-full overflow-x-auto pb-2 mb-3">
+                    ${games.map(g => `
+                        <button onclick="window.app.selectStatsGame('${g.game}')" class="shrink-0 glass px-3 py-1 rounded-full text-xs font-bold ${g.game === this.statsGame ? 'bg-blue-600' : 'btn-hover'}">${this.getGameName(g.game)}</button>
+                    `).join('')}
+                </div>
+                ${lineChart(gameDays.map(d => d.total ? d.right / d.total : null), { labels })}
+                <div class="text-xs opacity-70 mt-2 text-center">
+                    کل: ${percent(game.accuracy)} از ${game.total} پاسخ${gameAvg === null ? '' : ` · میانگین ${seconds(gameAvg)}`}
+                </div>
+            </div>
+
+            ${ranking.length ? `
+                <div>
+                    <div class="font-bold mb-2">💪 قوی‌ترین‌ها</div>
+                    <div class="flex flex-col gap-2">${strongest.map(g => rankRow(g, 'text-green-400')).join('')}</div>
+                </div>
+                ${weakest.length ? `
+                    <div>
+                        <div class="font-bold mb-2">🎯 نیاز به تمرین</div>
+                        <div class="flex flex-col gap-2">${weakest.map(g => rankRow(g, 'text-red-400')).join('')}</div>
+                    </div>
+                ` : ''}
+            ` : `<p class="text-xs opacity-60 text-center">قوی‌ترین و ضعیف‌ترین بازی‌ها بعد از ${STATS_MIN_ANSWERS} پاسخ در هر بازی نمایش داده می‌شوند.</p>`}
+        `;
+    }
+
+    showSettings() {
+        this.playSound('click');
+        this.updateEitaaBackButton(true);
+        history.pushState('subview', '');
+        document.getElementById('backup-status').innerText = '';
+        this.updateStreakUI();
+        const screen = document.getElementById('settings-screen');
+        screen.classList.remove('hidden');
+        gsap.fromTo(screen, { y: '100%' }, { y: 0, duration: 0.4, ease: 'power2.out' });
+    }
+
+    hideSettings(fromPopState = false) {
+        this.updateEitaaBackButton(false);
+        if (!fromPopState && history.state === 'subview') {
+            history.back();
+        }
+        const screen = document.getElementById('settings-screen');
+        gsap.to(screen, { y: '100%', duration: 0.3, onComplete: () => screen.classList.add('hidden') });
+    }
+
+    // --- MISTAKES NOTEBOOK ---
+    showMistakes() {
+        this.playSound('click');
+        this.updateEitaaBackButton(true);
+        history.pushState('subview', '');
+        this.renderMistakesList();
+        const screen = document.getElementById('mistakes-screen');
+        screen.classList.remove('hidden');
+        gsap.fromTo(screen, { y: '100%' }, { y: 0, duration: 0.4, ease: 'power2.out' });
+    }
+
+    hideMistakes(fromPopState = false) {
+        this.updateEitaaBackButton(false);
+        if (!fromPopState && history.state === 'subview') {
+            history.back();
+        }
+        const screen = document.getElementById('mistakes-screen');
+        gsap.to(screen, { y: '100%', duration: 0.3, onComplete: () => screen.classList.add('hidden') });
+    }
+
+    renderMistakesList() {
+        const list = document.getElementById('mistakes-list');
+        document.getElementById('mistakes-review-btn').classList.toggle('hidden', !this.mistakeNotebook.size);
+        if (!this.mistakeNotebook.size) {
+            list.innerHTML = '<p class="text-center opacity-50 py-10">دفترچه اشتباهات خالی است!</p>';
+            return;
+        }
+        list.innerHTML = this.mistakeNotebook.entries.map(e => `
+            <div class="glass p-4 rounded-2xl">
+                <div class="flex justify-between items-center text-xs opacity-60 mb-2">
+                    <span>${this.getGameName(e.game)}</span>
+                    <span>${'●'.repeat(e.streak)}${'○'.repeat(REVIEW_STREAK_TO_CLEAR - e.streak)}</span>
+                </div>
+                <div class="font-bold mb-2">${e.color ? `<span class="inline-block w-4 h-4 rounded-full align-middle ml-1" style="background-color: ${escapeHtml(e.color)}"></span>` : ''}${escapeHtml(e.prompt)}</div>
+                <div class="text-sm" dir="auto">
+                    ${e.given ? `<div class="text-red-400">✗ ${escapeHtml(e.given)}</div>` : ''}
+                    <div class="text-green-400">✓ ${escapeHtml(e.answer)}</div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    startReview() {
+        if (!this.mistakeNotebook.size) return;
+        // The game screen reuses the notebook's history entry
+        this.hideMistakes(true);
+        this.reviewEntry = null;
+        this.reviewIds = null;
+        this.actualStart(REVIEW_GAME, 0);
+    }
+
+    logMistake(given) {
+        const q = this.currentQuestion;
+        if (!q || this.currentGame === REVIEW_GAME) return;
+        this.mistakeNotebook.add({ ...q, given: given === null || given === undefined ? '' : String(given) });
+        this.saveMistakes();
+    }
+
+    // A correct answer in the original game also counts towards clearing the entry
+    recordQuestionCorrect() {
+        const q = this.currentQuestion;
+        if (!q || this.currentGame === REVIEW_GAME) return;
+        const id = MistakeNotebook.idOf(q.game, q.prompt, q.answer);
+        if (!this.mistakeNotebook.find(id)) return;
+        this.mistakeNotebook.recordAnswer(id, true);
+        this.saveMistakes();
+    }
+
+    renderReviewGame() {
+        const entry = this.mistakeNotebook.pickForReview(this.reviewEntry && this.reviewEntry.id, this.reviewIds);
+        if (!entry) {
+            this.showFeedback('🎉', 'همه اشتباهات مرور شد!');
+            this.delays.add(() => this.showMenu(), 1500);
+            return;
+        }
+        this.reviewEntry = entry;
+
+        // Foils: the learner's own wrong answer first, then other answers from the notebook
+        const foils = [entry.given, ...entry.options, ...this.mistakeNotebook.entries.filter(e => e.game === entry.game).map(e => e.answer), ...this.mistakeNotebook.entries.map(e => e.answer)];
+        const options = [entry.answer];
+        foils.forEach(f => {
+            if (f && options.length < 4 && !options.includes(f)) options.push(f);
+        });
+        this.shuffleArray(options);
+        this.reviewOptions = options;
+
+        const html = `
+            <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
+                <div class="text-xs opacity-60 mb-2">${this.getGameName(entry.game)} · باقی‌مانده: ${this.reviewIds ? this.openMistakeIds(this.reviewIds).length : this.mistakeNotebook.size}</div>
+                ${entry.img ? `<div class="glass p-6 rounded-3xl mb-6">${this.pictureHtml(entry.img, 'w-32 h-32')}</div>` : ''}
+                ${entry.color ? `<div class="w-32 h-32 rounded-full mb-6 shadow-2xl border-4 border-white/20" style="background-color: ${escapeHtml(entry.color)}"></div>` : ''}
+                <div class="text-2xl font-bold mb-8 text-blue-300 text-center" dir="auto">${escapeHtml(entry.prompt)}</div>
+                <div class="grid grid-cols-1 gap-3 w-full max-w-xs" dir="auto">
+                    ${options.map((opt, i) => `
+                        <button onclick="window.app.checkReview(${i})" class="glass py-4 rounded-2xl text-lg font-bold btn-hover">
+                            ${escapeHtml(opt)}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+        document.getElementById('game-content').innerHTML = html;
+    }
+
+    checkReview(selected) {
+        const entry = this.reviewEntry;
+        const isCorrect = this.reviewOptions[selected] === entry.answer;
+        const cleared = this.mistakeNotebook.recordAnswer(entry.id, isCorrect);
+        this.saveMistakes();
+        this.checkAchievements('review', { cleared });
+        if (isCorrect) {
+            this.successAction(cleared ? `${entry.answer} ✔` : entry.answer, entry.lang);
+        } else {
+            const buttons = document.querySelectorAll('#game-content button');
+            buttons[this.reviewOptions.indexOf(entry.answer)].classList.add('bg-green-500/50', 'border-green-400');
+            this.failAction(entry.answer, entry.lang);
+            this.delays.add(() => this.renderLevel(), 2000);
+        }
+    }
+
+    // One event per answer for the stats screen; review answers count for the original game
+    recordAnswerEvent(isCorrect) {
+        const game = this.currentGame === REVIEW_GAME && this.reviewEntry ? this.reviewEntry.game : this.currentGame;
+        if (!game) return;
+        this.answerLog.record(game, isCorrect, this.answerMs());
+        this.saveAnswerLog();
+    }
+
+    // Milliseconds since the question appeared (pauses excluded), or null
+    answerMs() {
+        return this.questionShownAt ? Date.now() - this.questionShownAt : null;
+    }
+
+    // --- SESSION SUMMARY ---
+    // Counts the answer for the summary; wrong ones are listed there to hear again
+    recordSessionAnswer(isCorrect) {
+        const session = this.session;
+        if (!session) return;
+        session.record(isCorrect);
+        if (isCorrect) return;
+        const q = this.currentGame === REVIEW_GAME ? this.reviewEntry : this.currentQuestion;
+        if (q) session.miss({ id: MistakeNotebook.idOf(q.game, q.prompt, q.answer), prompt: q.prompt, answer: q.answer, lang: q.lang });
+    }
+
+    // Closes the running session; returns it when there is something to summarize
+    endSession() {
+        const session = this.session;
+        this.session = null;
+        if (!session || !session.answered) return null;
+        session.finish(this.currentLevel);
+        this.lastSession = session;
+        return session;
+    }
+
+    // The ids still in the mistakes notebook (a review may have cleared some)
+    openMistakeIds(ids) {
+        return ids.filter(id => this.mistakeNotebook.find(id));
+    }
+
+    sessionMistakeIds(session) {
+        return session ? this.openMistakeIds(session.missed.map(m => m.id)) : [];
+    }
+
+    sessionSummaryHtml(session) {
+        const stat = (value, label) => `
+            <div class="glass p-4 rounded-2xl text-center">
+                <div class="text-xl font-bold gradient-text">${value}</div>
+                <div class="text-xs opacity-70 mt-1">${label}</div>
+            </div>
+        `;
+        return `
+            <div class="text-sm opacity-70 text-center">${this.getGameName(session.game)}</div>
+            <div class="grid grid-cols-2 gap-3">
+                ${stat(session.answered, 'سؤال پاسخ داده شد')}
+                ${stat(`${Math.round(session.accuracy * 100)}%`, 'دقت')}
+                ${stat(`+${session.levelsGained}`, 'مرحله پیشرفت')}
+                ${stat(formatDuration(session.seconds()), 'زمان بازی')}
+            </div>
+            ${session.newWords.length ? `
+                <div>
+                    <div class="font-bold mb-2">کلمات جدید (${session.newWords.length})</div>
+                    <div class="flex flex-wrap gap-2" dir="ltr">
+                        ${session.newWords.map(w => `<span class="glass px-3 py-1 rounded-full text-sm">${w}</span>`).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            ${session.missed.length ? `
+                <div>
+                    <div class="font-bold mb-2">اشتباه‌ها (${session.missed.length})</div>
+                    <div class="flex flex-col gap-2">
+                        ${session.missed.map(m => `
+                            <div class="glass p-3 rounded-2xl flex items-center justify-between gap-3">
+                                <div class="text-sm" dir="auto">
+                                    <div class="opacity-60">${m.prompt}</div>
+                                    <div class="text-green-400 font-bold">${m.answer}</div>
+                                </div>
+                                <button data-speak="${escapeHtml(m.answer)}" data-lang="${m.lang}" class="glass w-10 h-10 rounded-full shrink-0 btn-hover">🔊</button>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    showSummary(session) {
+        this.updateEitaaBackButton(true);
+        history.pushState('subview', '');
+        document.getElementById('summary-body').innerHTML = this.sessionSummaryHtml(session);
+        document.getElementById('summary-practice-btn').classList.toggle('hidden', !this.sessionMistakeIds(session).length);
+        const screen = document.getElementById('summary-screen');
+        screen.classList.remove('hidden');
+        gsap.fromTo(screen, { y: '100%' }, { y: 0, duration: 0.4, ease: 'power2.out' });
+    }
+
+    hideSummary(fromPopState = false) {
+        this.updateEitaaBackButton(false);
+        if (!fromPopState && history.state === 'subview') {
+            history.back();
+        }
+        const screen = document.getElementById('summary-screen');
+        gsap.to(screen, { y: '100%', duration: 0.3, onComplete: () => screen.classList.add('hidden') });
+    }
+
+    // Reviews only the last session's mistakes, from the summary or time-attack results
+    practiceSessionMistakes() {
+        const ids = this.sessionMistakeIds(this.lastSession);
+        if (!ids.length) return;
+        this.stopTimeAttack();
+        // The game screen reuses the summary's history entry
+        if (!document.getElementById('summary-screen').classList.contains('hidden')) this.hideSummary(true);
+        this.reviewEntry = null;
+        this.reviewIds = ids;
+        this.actualStart(REVIEW_GAME, 0);
+    }
+
+    getGameName(type) {
+        const label = document.querySelector(`[data-game="${type}"] span`);
+        return label ? label.innerText : type;
+    }
+
+    // --- PROFILES ---
+    // Everything a learner owns, read again from the active profile's storage
+    loadLearnerData() {
+        this.progress = this.loadProgress();
+        this.mastery = this.loadMastery();
+        this.daily = this.loadDaily();
+        this.mistakeNotebook = this.loadMistakes();
+        this.settings = this.loadSettings();
+        this.grammarStats = this.loadGrammarStats();
+        this.timeAttackRecords = this.loadTimeAttackRecords();
+        this.answerLog = this.loadAnswerLog();
+        this.achievements = this.loadAchievements();
+        this.playerScore = this.loadPlayerScore();
+        this.lastWord = null;
+        this.lastSession = null;
+        this.statsGame = null;
+    }
+
+    currentProfile() {
+        if (this.profileId === GUEST_PROFILE) return { id: GUEST_PROFILE, name: 'مهمان', avatar: null };
+        return this.profiles.get(this.profileId);
+    }
+
+    avatarHtml(profile, size = 'w-10 h-10') {
+        return profile.avatar
+            ? `<img src="${profile.avatar}" class="${size} rounded-full object-contain" alt="">`
+            : `<div class="${size} rounded-full flex items-center justify-center text-2xl">👤</div>`;
+    }
+
+    updateProfileUI() {
+        const profile = this.currentProfile();
+        document.getElementById('profile-avatar').innerHTML = this.avatarHtml(profile);
+        document.getElementById('profile-name').innerText = profile.name;
+    }
+
+    showProfiles() {
+        this.playSound('click');
+        this.updateEitaaBackButton(true);
+        history.pushState('subview', '');
+        this.editingProfile = null;
+        this.renderProfiles();
+        const screen = document.getElementById('profiles-screen');
+        screen.classList.remove('hidden');
+        gsap.fromTo(screen, { y: '100%' }, { y: 0, duration: 0.4, ease: 'power2.out' });
+    }
+
+    hideProfiles(fromPopState = false) {
+        this.updateEitaaBackButton(false);
+        if (!fromPopState && history.state === 'subview') {
+            history.back();
+        }
+        const screen = document.getElementById('profiles-screen');
+        gsap.to(screen, { y: '100%', duration: 0.3, onComplete: () => screen.classList.add('hidden') });
+    }
+
+    renderProfiles() {
+        const card = (profile, actions = '') => `
+            <div onclick="window.app.switchProfile('${profile.id}')" class="glass p-4 rounded-3xl flex flex-col items-center text-center btn-hover relative ${profile.id === this.profileId ? 'ring-2 ring-blue-500' : ''}">
+                ${actions}
+                ${this.avatarHtml(profile, 'w-16 h-16')}
+                <div class="font-bold text-sm mt-2">${profile.name}</div>
+            </div>
+        `;
+        const actions = profile => `
+            <div class="absolute top-2 left-2 flex gap-1">
+                <button onclick="event.stopPropagation(); window.app.editProfile('${profile.id}')" class="text-xs opacity-70">✏️</button>
+                ${profile.id === DEFAULT_PROFILE ? '' : `<button onclick="event.stopPropagation(); window.app.deleteProfile('${profile.id}')" class="text-xs opacity-70">🗑️</button>`}
+            </div>
+        `;
+        document.getElementById('profiles-list').innerHTML =
+            this.profiles.profiles.map(p => card(p, actions(p))).join('')
+            + card({ id: GUEST_PROFILE, name: 'مهمان', avatar: null });
+
+        const editing = this.editingProfile && this.profiles.get(this.editingProfile);
+        document.getElementById('profile-form-title').innerText = editing ? `ویرایش ${editing.name}` : 'پروفایل جدید';
+        document.getElementById('profile-save-btn').innerText = editing ? 'ذخیره' : 'ساختن';
+        document.getElementById('profile-form').classList.toggle('hidden', !editing && this.profiles.isFull);
+        document.getElementById('profile-avatars').innerHTML = AVATARS.map(a => `
+            <button onclick="window.app.pickAvatar('${a}')" class="glass p-1 rounded-full btn-hover ${a === this.newProfileAvatar ? 'ring-2 ring-blue-500' : ''}">
+                <img src="${a}" class="w-10 h-10 object-contain" alt="">
+            </button>
+        `).join('');
+    }
+
+    pickAvatar(avatar) {
+        this.newProfileAvatar = avatar;
+        this.renderProfiles();
+    }
+
+    editProfile(id) {
+        const profile = this.profiles.get(id);
+        if (!profile) return;
+        this.editingProfile = id;
+        this.newProfileAvatar = profile.avatar;
+        document.getElementById('profile-name-input').value = profile.name;
+        this.renderProfiles();
+    }
+
+    saveProfileForm() {
+        const input = document.getElementById('profile-name-input');
+        const profile = this.editingProfile
+            ? this.profiles.update(this.editingProfile, { name: input.value, avatar: this.newProfileAvatar })
+            : this.profiles.add(input.value, this.newProfileAvatar);
+        if (!profile) {
+            input.classList.add('border-red-500');
+            return;
+        }
+        input.classList.remove('border-red-500');
+        input.value = '';
+        this.saveProfiles();
+        this.playSound('click');
+        if (this.editingProfile) {
+            this.editingProfile = null;
+            this.renderProfiles();
+            this.updateProfileUI();
+        } else {
+            this.switchProfile(profile.id);
+        }
+    }
+
+    deleteProfile(id) {
+        const profile = this.profiles.get(id);
+        if (!profile || id === DEFAULT_PROFILE) return;
+        this.showModal({
+            title: `حذف ${profile.name}؟`,
+            desc: 'همه پیشرفت، تنظیمات و آمار این پروفایل پاک می‌شود.',
+            confirmText: 'حذف',
+            cancelText: 'انصراف',
+            onConfirm: () => {
+                new ProfileStorage(this.syncedStorage.local, id).clear(LEARNER_KEYS);
+                this.profiles.remove(id);
+                this.saveProfiles();
+                this.closeModal();
+                if (this.profileId === id) this.switchProfile(DEFAULT_PROFILE);
+                else this.renderProfiles();
+            }
+        });
+    }
+
+    // A guest starts fresh and nothing they play is saved
+    switchProfile(id) {
+        if (id !== GUEST_PROFILE && !this.profiles.get(id)) return;
+        if (id !== this.profileId) {
+            this.playSound('click');
+            this.storage.flush();
+            this.profileId = id;
+            if (id !== GUEST_PROFILE) {
+                this.profiles.setActive(id);
+                this.saveProfiles();
+            }
+            this.storage = this.storageFor(id);
+            this.loadLearnerData();
+            this.updateMenuUI();
+            this.updateProfileUI();
+            if (id === DEFAULT_PROFILE) this.syncStorage();
+        }
+        this.editingProfile = null;
+        this.hideProfiles();
+    }
+
+    // --- BACKUP (export / import of learner data) ---
+    // Backup codes are typed or pasted by hand, so they only carry the recent answer log
+    collectBackupData(forCode = false) {
+        return {
+            progress: JSON.parse(serializeProgress(this.progress)),
+            mastery: this.mastery.toJSON(),
+            streak: this.daily.toJSON(),
+            mistakes: this.mistakeNotebook.toJSON(),
+            settings: this.settings,
+            grammar: this.grammarStats.toJSON(),
+            timeAttack: this.timeAttackRecords.toJSON(),
+            achievements: this.achievements.toJSON(),
+            score: this.playerScore.toJSON(),
+            stats: forCode ? this.answerLog.recent(CODE_EVENTS) : this.answerLog.toJSON()
+        };
+    }
+
+    // Validates every section up front so a bad backup never touches saved data
+    readBackupData(backup) {
+        const { progress, mastery, streak, mistakes, settings, grammar, timeAttack, achievements, score, stats } = backup.data;
+        if (!progress || typeof progress !== 'object') {
+            throw new BackupError('اطلاعات پیشرفت در این پشتیبان پیدا نشد.');
+        }
+        if (stats !== undefined && !(stats && Array.isArray(stats.events))) {
+            throw new BackupError('آمار پاسخ‌ها در این پشتیبان قابل خواندن نیست.');
+        }
+        try {
+            return {
+                progress: migrateProgress(progress, Object.values(GAME_TYPES)),
+                mastery: new SpacedRepetition(mastery),
+                // Older backups have no streak; keep the current one then
+                daily: streak ? new DailyGoal(streak) : this.daily,
+                mistakes: mistakes ? new MistakeNotebook(mistakes) : this.mistakeNotebook,
+                settings: settings ? normalizeSettings(settings) : this.settings,
+                grammarStats: grammar ? new GrammarStats(grammar) : this.grammarStats,
+                timeAttackRecords: timeAttack ? new TimeAttackRecords(timeAttack) : this.timeAttackRecords,
+                achievements: achievements ? new Achievements(achievements) : this.achievements,
+                playerScore: score ? new PlayerScore(score) : this.playerScore,
+                answerLog: stats ? new AnswerLog(stats) : this.answerLog
+            };
+        } catch (e) {
+            throw new BackupError('اطلاعات پیشرفت در این پشتیبان قابل خواندن نیست.');
+        }
+    }
+
+    applyBackupData({ progress, mastery, daily, mistakes, settings, grammarStats, timeAttackRecords, achievements, playerScore, answerLog }) {
+        this.progress = progress;
+        // The learner chose to replace their progress, even one saved by a newer version
+        this.progressLocked = false;
+        this.mastery = mastery;
+        this.daily = daily;
+        this.mistakeNotebook = mistakes;
+        this.settings = settings;
+        this.grammarStats = grammarStats;
+        this.timeAttackRecords = timeAttackRecords;
+        this.achievements = achievements;
+        this.playerScore = playerScore;
+        this.answerLog = answerLog;
+        this.saveProgress();
+        this.saveMastery();
+        this.saveDaily();
+        this.saveMistakes();
+        this.saveSettings();
+        this.saveGrammarStats();
+        this.saveTimeAttackRecords();
+        this.saveAchievements();
+        this.savePlayerScore();
+        this.saveAnswerLog();
+        this.updateMenuUI();
+    }
+
+    setBackupStatus(text, isError = false) {
+        const status = document.getElementById('backup-status');
+        status.innerText = text;
+        status.classList.toggle('text-red-400', isError);
+        status.classList.toggle('text-green-400', !isError);
+    }
+
+    exportBackupFile() {
+        this.playSound('click');
+        const json = JSON.stringify(createBackup(this.collectBackupData()), null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = `learnita-backup-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        this.setBackupStatus('فایل پشتیبان ساخته شد.');
+    }
+
+    async copyBackupCode() {
+        this.playSound('click');
+        const box = document.getElementById('backup-code');
+        box.value = await encodeBackupCode(createBackup(this.collectBackupData(true)));
+        try {
+            await navigator.clipboard.writeText(box.value);
+            this.setBackupStatus('کد پشتیبان کپی شد.');
+        } catch (e) {
+            // Clipboard API is blocked in some webviews; leave the code selected instead
+            box.select();
+            this.setBackupStatus('کد پشتیبان را از کادر زیر کپی کنید.');
+        }
+    }
+
+    importBackupFile(input) {
+        const file = input.files && input.files[0];
+        input.value = '';
+        if (!file) return;
+        file.text()
+            .then(text => this.confirmImport(parseBackup(text)))
+            .catch(e => this.showImportError(e));
+    }
+
+    importBackupCode() {
+        const code = document.getElementById('backup-code').value.trim();
+        if (!code) return;
+        decodeBackupCode(code)
+            .then(backup => this.confirmImport(backup))
+            .catch(e => this.showImportError(e));
+    }
+
+    showImportError(e) {
+        console.error('Backup import failed', e);
+        this.setBackupStatus(e instanceof BackupError ? e.message : 'بازیابی پشتیبان ناموفق بود.', true);
+    }
+
+    // Shows what will change and only writes after the learner confirms
+    confirmImport(backup) {
+        const incoming = this.readBackupData(backup);
+        const rows = Object.values(GAME_TYPES).map(type => {
+            const before = this.progress[type];
+            const after = incoming.progress[type];
+            if (before.level === after.level && before.medals === after.medals && before.completed === after.completed) return '';
+            const describe = p => p.completed ? 'کامل' : `مرحله ${p.level + 1}` + (p.medals ? ` 🏅${p.medals}` : '');
+            return `<li>${this.getGameName(type)}: ${describe(before)} ← ${describe(after)}</li>`;
+        }).join('');
+        const wordCount = m => Object.keys(m.items).length;
+        const date = backup.exportedAt ? new Date(backup.exportedAt).toLocaleDateString('fa-IR') : '؟';
+
+        this.showModal({
+            title: 'بازیابی پشتیبان',
+            desc: `
+                <div class="text-sm mb-2">تاریخ پشتیبان: ${date}</div>
+                <ul class="text-sm text-right max-h-48 overflow-y-auto mb-2">${rows || '<li>مراحل بازی‌ها تغییری نمی‌کند.</li>'}</ul>
+                <div class="text-sm">لغات تمرین‌شده: ${wordCount(this.mastery)} ← ${wordCount(incoming.mastery)}</div>
+                <div class="text-sm">روزهای پیاپی: ${this.daily.streak.count} ← ${incoming.daily.streak.count}</div>
+                <div class="text-xs text-yellow-400 mt-3">اطلاعات فعلی با این پشتیبان جایگزین می‌شود.</div>
+            `,
+            confirmText: 'جایگزین کن',
+            cancelText: 'انصراف',
+            onConfirm: () => {
+                this.applyBackupData(incoming);
+                this.closeModal();
+                this.setBackupStatus('پشتیبان با موفقیت بازیابی شد.');
+            }
+        });
+    }
+
     initEitaaBackButton() {
         try {
             if (window.Eitaa && Eitaa.WebApp && Eitaa.WebApp.BackButton) {
                 Eitaa.WebApp.BackButton.onClick(() => {
                     const gameScreen = document.getElementById('game-screen');
                     const medalScreen = document.getElementById('medals-screen');
+                    const settingsScreen = document.getElementById('settings-screen');
+                    const mistakesScreen = document.getElementById('mistakes-screen');
+                    const summaryScreen = document.getElementById('summary-screen');
+                    const statsScreen = document.getElementById('stats-screen');
+                    const profilesScreen = document.getElementById('profiles-screen');
                     
                     if (!medalScreen.classList.contains('hidden')) {
                         this.hideMedals();
+                    } else if (!statsScreen.classList.contains('hidden')) {
+                        this.hideStats();
+                    } else if (!profilesScreen.classList.contains('hidden')) {
+                        this.hideProfiles();
+                    } else if (!settingsScreen.classList.contains('hidden')) {
+                        this.hideSettings();
+                    } else if (!mistakesScreen.classList.contains('hidden')) {
+                        this.hideMistakes();
+                    } else if (!summaryScreen.classList.contains('hidden')) {
+                        this.hideSummary();
                     } else if (!gameScreen.classList.contains('hidden')) {
                         this.showMenu();
                     }
@@ -392,13 +1866,50 @@ class App {
         } catch (e) {}
     }
 
+    // Collapsing the mini-app pauses the game; closing it shows up as pagehide
+    initEitaaPause() {
+        try {
+            if (window.Eitaa && Eitaa.WebApp && typeof Eitaa.WebApp.onEvent === 'function') {
+                Eitaa.WebApp.onEvent('viewportChanged', (e) => {
+                    if (e && e.isStateStable === false) return;
+                    if (Eitaa.WebApp.isExpanded === false) this.pauseGame();
+                });
+            }
+        } catch (e) {}
+    }
+
     renderLevel() {
+        // A finished time-attack session or assignment keeps its results on screen
+        if (this.resultsShown()) return;
+        // An assignment counts a question when the game moves on from it
+        if (this.assignment && this.questionAnswered) {
+            this.assignment.done++;
+            this.questionAnswered = false;
+        }
+        if (this.assignment && this.assignment.done >= this.assignment.count) {
+            this.endAssignment();
+            return;
+        }
+        if (this.outOfHearts(this.currentGame)) {
+            this.renderOutOfHearts();
+            return;
+        }
         const content = document.getElementById('game-content');
         const timerBox = document.getElementById('timer-box');
         content.innerHTML = '';
-        timerBox.classList.add('hidden');
+        // The session clock stays visible during time attack
+        timerBox.classList.toggle('hidden', !this.timeAttack);
+        this.updateAssignmentUI();
+        this.stopTimer();
+        this.timeLeft = 0;
+        this.currentQuestion = null;
+        this.questionAnswered = false;
+        this.typingActive = false;
 
         switch (this.currentGame) {
+            case REVIEW_GAME:
+                this.renderReviewGame();
+                break;
             case GAME_TYPES.GUESS:
                 this.renderGuessGame();
                 break;
@@ -453,178 +1964,114 @@ class App {
             case GAME_TYPES.VERBS:
                 this.renderVerbsGame();
                 break;
+            case GAME_TYPES.LISTEN:
+                this.renderListenGame();
+                break;
+            case GAME_TYPES.TIME:
+                this.renderTimeGame();
+                break;
+            case GAME_TYPES.DATES:
+                this.renderDatesGame();
+                break;
         }
+        this.startQuestionTimer();
+        this.questionShownAt = Date.now();
     }
 
-    // --- DATA LIBRARIES (Scaling to 300+ items) ---
-    getVocabData(category) {
-        const baseAnimals = [
-            { en: 'Cat', fa: 'گربه' }, { en: 'Dog', fa: 'سگ' }, { en: 'Lion', fa: 'شیر' }, { en: 'Elephant', fa: 'فیل' },
-            { en: 'Tiger', fa: 'ببر' }, { en: 'Rabbit', fa: 'خرگوش' }, { en: 'Giraffe', fa: 'زرافه' }, { en: 'Monkey', fa: 'میمون' },
-            { en: 'Snake', fa: 'مار' }, { en: 'Zebra', fa: 'گورخر' }, { en: 'Panda', fa: 'پاندا' }, { en: 'Wolf', fa: 'گرگ' },
-            { en: 'Fox', fa: 'روباه' }, { en: 'Bear', fa: 'خرس' }, { en: 'Eagle', fa: 'عقاب' }, { en: 'Dolphin', fa: 'دلفین' },
-            { en: 'Shark', fa: 'کوسه' }, { en: 'Ant', fa: 'مورچه' }, { en: 'Bee', fa: 'زنبور' }, { en: 'Spider', fa: 'عنکبوت' },
-            { en: 'Horse', fa: 'اسب' }, { en: 'Cow', fa: 'گاو' }, { en: 'Sheep', fa: 'گوسفند' }, { en: 'Chicken', fa: 'مرغ' },
-            { en: 'Duck', fa: 'اردک' }, { en: 'Frog', fa: 'قورباغه' }, { en: 'Turtle', fa: 'لاک‌پشت' }, { en: 'Fish', fa: 'ماهی' },
-            { en: 'Whale', fa: 'وال' }, { en: 'Octopus', fa: 'اختاپوس' }, { en: 'Butterfly', fa: 'پروانه' }, { en: 'Bird', fa: 'پرنده' },
-            { en: 'Parrot', fa: 'طوطی' }, { en: 'Mouse', fa: 'موش' }, { en: 'Camel', fa: 'شتر' }, { en: 'Donkey', fa: 'الاغ' },
-            { en: 'Deer', fa: 'آهو' }, { en: 'Goat', fa: 'بز' }, { en: 'Owl', fa: 'جغد' }, { en: 'Kangaroo', fa: 'کانگورو' },
-            { en: 'Squirrel', fa: 'سنجاب' }, { en: 'Hamster', fa: 'همستر' }, { en: 'Bat', fa: 'خفاش' }, { en: 'Crocodile', fa: 'تمساح' },
-            { en: 'Hippo', fa: 'اسب آبی' }, { en: 'Rhino', fa: 'کرگدن' }, { en: 'Penguin', fa: 'پنگوئن' }, { en: 'Cheetah', fa: 'یوزپلنگ' }
-        ];
+    // --- DATA LIBRARIES (loaded from content packs, see packs/README.md) ---
+    async loadContent() {
+        const { libraries, errors } = await loadContentPacks(CONTENT_PACKS);
+        this.libraries = libraries;
 
-        const baseJobs = [
-            { en: 'Doctor', fa: 'دکتر' }, { en: 'Teacher', fa: 'معلم' }, { en: 'Engineer', fa: 'مهندس' }, { en: 'Pilot', fa: 'خلبان' },
-            { en: 'Chef', fa: 'آشپز' }, { en: 'Farmer', fa: 'کشاورز' }, { en: 'Driver', fa: 'راننده' }, { en: 'Singer', fa: 'خواننده' },
-            { en: 'Lawyer', fa: 'وکیل' }, { en: 'Artist', fa: 'هنرمند' }, { en: 'Nurse', fa: 'پرستار' }, { en: 'Police', fa: 'پلیس' },
-            { en: 'Dentist', fa: 'دندانپزشک' }, { en: 'Baker', fa: 'نانوا' }, { en: 'Writer', fa: 'نویسنده' }, { en: 'Actor', fa: 'بازیگر' },
-            { en: 'Soldier', fa: 'سرباز' }, { en: 'Scientist', fa: 'دانشمند' }, { en: 'Architect', fa: 'معمار' }, { en: 'Mechanic', fa: 'مکانیک' },
-            { en: 'Electrician', fa: 'برق‌کار' }, { en: 'Plumber', fa: 'لوله‌کش' }, { en: 'Gardener', fa: 'باغبان' }, { en: 'Firefighter', fa: 'آتش‌نشان' },
-            { en: 'Photographer', fa: 'عکاس' }, { en: 'Journalist', fa: 'خبرنگار' }, { en: 'Librarian', fa: 'کتابدار' }, { en: 'Coach', fa: 'مربی' },
-            { en: 'Barber', fa: 'آرایشگر' }, { en: 'Tailor', fa: 'خیاط' }, { en: 'Butcher', fa: 'قصاب' }, { en: 'Waiter', fa: 'پیشخدمت' }
-        ];
+        // Combine all flagged categories for the translate master pool
+        // (the game doubles it by switching En->Fa and Fa->En directions)
+        this.translatePool = Object.values(libraries.categories)
+            .filter(cat => cat.translate)
+            .reduce((pool, cat) => pool.concat(cat.items), []);
 
-        const basePlaces = [
-            { en: 'Hospital', fa: 'بیمارستان' }, { en: 'School', fa: 'مدرسه' }, { en: 'Park', fa: 'پارک' }, { en: 'Restaurant', fa: 'رستوران' },
-            { en: 'Airport', fa: 'فرودگاه' }, { en: 'Bank', fa: 'بانک' }, { en: 'Library', fa: 'کتابخانه' }, { en: 'Supermarket', fa: 'سوپرمارکت' },
-            { en: 'Cinema', fa: 'سینما' }, { en: 'Museum', fa: 'موزه' }, { en: 'Gym', fa: 'باشگاه' }, { en: 'Pharmacy', fa: 'داروخانه' },
-            { en: 'Bakery', fa: 'نانوایی' }, { en: 'Coffee shop', fa: 'کافی‌شاپ' }, { en: 'Police station', fa: 'ایستگاه پلیس' },
-            { en: 'Hotel', fa: 'هتل' }, { en: 'Gas station', fa: 'پمپ بنزین' }, { en: 'Beach', fa: 'ساحل' }, { en: 'Stadium', fa: 'استادیوم' },
-            { en: 'University', fa: 'دانشگاه' }, { en: 'Zoo', fa: 'باغ وحش' }, { en: 'Theater', fa: 'تئاتر' }, { en: 'Post office', fa: 'اداره پست' },
-            { en: 'Stadium', fa: 'ورزشگاه' }, { en: 'Church', fa: 'کلیسا' }, { en: 'Mosque', fa: 'مسجد' }, { en: 'Bridge', fa: 'پل' }
-        ];
+        this.allWords = Object.values(libraries.categories).reduce((pool, cat) => pool.concat(cat.items), []);
 
-        const baseObjects = [
-            { en: 'Chair', fa: 'صندلی' }, { en: 'Table', fa: 'میز' }, { en: 'Pen', fa: 'خودکار' }, { en: 'Phone', fa: 'تلفن' },
-            { en: 'Laptop', fa: 'لپ‌تاپ' }, { en: 'Key', fa: 'کلید' }, { en: 'Bottle', fa: 'بطری' }, { en: 'Bag', fa: 'کیف' },
-            { en: 'Mirror', fa: 'آینه' }, { en: 'Clock', fa: 'ساعت' }, { en: 'Lamp', fa: 'لامپ' }, { en: 'Window', fa: 'پنجره' },
-            { en: 'Door', fa: 'در' }, { en: 'Bed', fa: 'تخت خواب' }, { en: 'Spoon', fa: 'قاشق' }, { en: 'Fork', fa: 'چنگال' },
-            { en: 'Knife', fa: 'چاقو' }, { en: 'Plate', fa: 'بشقاب' }, { en: 'Cup', fa: 'فنجان' }, { en: 'Glasses', fa: 'عینک' },
-            { en: 'Wallet', fa: 'کیف پول' }, { en: 'Umbrella', fa: 'چتر' }, { en: 'Comb', fa: 'شانه' }, { en: 'Towel', fa: 'حوله' },
-            { en: 'Curtain', fa: 'پرده' }, { en: 'Pillow', fa: 'بالش' }, { en: 'Blanket', fa: 'پتو' }, { en: 'Soap', fa: 'صابون' }
-        ];
+        // Part of speech per word item, used to pick plausible distractors
+        this.partOfSpeech = new Map();
+        Object.values(libraries.categories).forEach(cat => {
+            cat.items.forEach(item => this.partOfSpeech.set(item, cat.pos));
+        });
 
-        const baseClothes = [
-            { en: 'Shirt', fa: 'پیراهن' }, { en: 'Pants', fa: 'شلوار' }, { en: 'Dress', fa: 'لباس زنانه' }, { en: 'Hat', fa: 'کلاه' },
-            { en: 'Shoes', fa: 'کفش' }, { en: 'Socks', fa: 'جوراب' }, { en: 'Jacket', fa: 'کاپشن' }, { en: 'Coat', fa: 'کت' },
-            { en: 'Skirt', fa: 'دامن' }, { en: 'Gloves', fa: 'دستکش' }, { en: 'Scarf', fa: 'شال گردن' }, { en: 'Tie', fa: 'کرافات' },
-            { en: 'Belt', fa: 'کمربند' }, { en: 'Boots', fa: 'چکمه' }, { en: 'Sneakers', fa: 'کفش ورزشی' }, { en: 'Sweater', fa: 'پلیور' },
-            { en: 'Suit', fa: 'کت و شلوار' }, { en: 'Uniform', fa: 'یونیفرم' }, { en: 'Jeans', fa: 'شلوار لی' }, { en: 'Raincoat', fa: 'بارانی' }
-        ];
+        // Words with a picture, the levels of the guess game
+        this.picturePool = buildGuessPool(libraries);
 
-        const baseAdjectives = [
-            { en: 'Big', fa: 'بزرگ' }, { en: 'Small', fa: 'کوچک' }, { en: 'Hot', fa: 'داغ' }, { en: 'Cold', fa: 'سرد' },
-            { en: 'Happy', fa: 'خوشحال' }, { en: 'Sad', fa: 'غمگین' }, { en: 'Fast', fa: 'سریع' }, { en: 'Slow', fa: 'آهسته' },
-            { en: 'New', fa: 'جدید' }, { en: 'Old', fa: 'قدیمی' }, { en: 'Beautiful', fa: 'زیبا' }, { en: 'Ugly', fa: 'زشت' },
-            { en: 'Easy', fa: 'آسان' }, { en: 'Hard', fa: 'سخت' }, { en: 'Good', fa: 'خوب' }, { en: 'Bad', fa: 'بد' },
-            { en: 'Rich', fa: 'پولدار' }, { en: 'Poor', fa: 'فقیر' }, { en: 'Strong', fa: 'قوی' }, { en: 'Weak', fa: 'ضعیف' },
-            { en: 'Clever', fa: 'باهوش' }, { en: 'Lazy', fa: 'تنبل' }, { en: 'Brave', fa: 'شجاع' }, { en: 'Kind', fa: 'مهربان' }
-        ];
+        if (errors.length) {
+            errors.forEach(err => console.error(err.message));
+            this.contentErrors = errors;
+            if (this.splashFinished) this.showContentErrors();
+        }
+    }
 
-        const baseVerbs = [
-            { en: 'Go', fa: 'رفتن' }, { en: 'Eat', fa: 'خوردن' }, { en: 'Sleep', fa: 'خوابیدن' }, { en: 'Run', fa: 'دویدن' },
-            { en: 'Talk', fa: 'صحبت کردن' }, { en: 'Read', fa: 'خواندن' }, { en: 'Write', fa: 'نوشتن' }, { en: 'Sing', fa: 'آواز خواندن' },
-            { en: 'Drink', fa: 'نوشیدن' }, { en: 'Think', fa: 'فکر کردن' }, { en: 'Look', fa: 'نگاه کردن' }, { en: 'Listen', fa: 'گوش دادن' },
-            { en: 'Buy', fa: 'خریدن' }, { en: 'Give', fa: 'دادن' }, { en: 'Take', fa: 'گرفتن' }, { en: 'Open', fa: 'باز کردن' },
-            { en: 'Close', fa: 'بستن' }, { en: 'Walk', fa: 'قدم زدن' }, { en: 'Jump', fa: 'پریدن' }, { en: 'Work', fa: 'کار کردن' },
-            { en: 'Study', fa: 'درس خواندن' }, { en: 'Play', fa: 'بازی کردن' }, { en: 'Cook', fa: 'آشپزی کردن' }, { en: 'Clean', fa: 'تمیز کردن' }
-        ];
+    showContentErrors() {
+        const errors = this.contentErrors;
+        if (!errors || !errors.length) return;
+        this.contentErrors = null;
+        const list = errors.map(err => `
+            <div class="font-bold mt-2">${escapeHtml(err.source)}</div>
+            <ul class="list-disc pl-4">${err.problems.map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ul>
+        `).join('');
+        this.showModal({
+            title: 'خطا در بسته محتوا',
+            desc: `<div class="mb-2">این بسته‌ها بارگذاری نشدند:</div><div dir="ltr" class="text-left text-xs max-h-60 overflow-y-auto">${list}</div>`,
+            confirmText: 'متوجه شدم',
+            cancelText: null
+        });
+    }
 
-        const baseFamily = [
-            { en: 'Father', fa: 'پدر' }, { en: 'Mother', fa: 'مادر' }, { en: 'Brother', fa: 'برادر' }, { en: 'Sister', fa: 'خواهر' },
-            { en: 'Grandfather', fa: 'پدربزرگ' }, { en: 'Grandmother', fa: 'مادربزرگ' }, { en: 'Uncle', fa: 'عمو/دایی' }, { en: 'Aunt', fa: 'عمه/خاله' },
-            { en: 'Son', fa: 'پسر' }, { en: 'Daughter', fa: 'دختر' }, { en: 'Baby', fa: 'نوزاد' }, { en: 'Wife', fa: 'همسر (زن)' },
-            { en: 'Husband', fa: 'همسر (شوهر)' }, { en: 'Parents', fa: 'والدین' }, { en: 'Children', fa: 'فرزندان' }
-        ];
+    getVocabData(category) {
+        const a = this.assignment;
+        if (a && GAME_LIBRARIES[a.game] === category) return this.assignmentWords(this.libraryItems(category));
+        return this.libraryItems(category);
+    }
 
-        // Combine all for translate master pool (total unique words ~200)
-        // Then double it by switching En->Fa and Fa->En directions
-        const masterPool = [...baseAnimals, ...baseJobs, ...basePlaces, ...baseObjects, ...baseClothes, ...baseAdjectives, ...baseFamily];
-
-        const libraries = {
-            animals: baseAnimals,
-            jobs: baseJobs,
-            family: baseFamily,
-            places: basePlaces,
-            objects: baseObjects,
-            clothes: baseClothes,
-            adjectives: baseAdjectives,
-            verbs: baseVerbs,
-            translate: masterPool,
-            sentences: [
-                { words: ['I', 'am', 'a', 'student'], fa: 'من یک دانش‌آموز هستم' },
-                { words: ['The', 'cat', 'is', 'sleeping'], fa: 'گربه در حال خوابیدن است' },
-                { words: ['We', 'love', 'English'], fa: 'ما انگلیسی را دوست داریم' },
-                { words: ['She', 'is', 'playing', 'football'], fa: 'او در حال فوتبال بازی کردن است' },
-                { words: ['He', 'reads', 'a', 'big', 'book'], fa: 'او یک کتاب بزرگ می‌خواند' },
-                { words: ['They', 'go', 'to', 'school', 'everyday'], fa: 'آن‌ها هر روز به مدرسه می‌روند' },
-                { words: ['It', 'is', 'a', 'sunny', 'beautiful', 'day'], fa: 'امروز یک روز آفتابی زیباست' },
-                { words: ['Learning', 'languages', 'is', 'very', 'exciting'], fa: 'یادگیری زبان‌ها بسیار هیجان‌انگیز است' },
-                { words: ['Can', 'you', 'help', 'me', 'please'], fa: 'آیا می‌توانید به من کمک کنید لطفاً' },
-                { words: ['I', 'want', 'to', 'drink', 'some', 'water'], fa: 'من می‌خواهم کمی آب بنوشم' },
-                { words: ['Where', 'is', 'the', 'library'], fa: 'کتابخانه کجاست' },
-                { words: ['My', 'brother', 'works', 'in', 'a', 'bank'], fa: 'برادر من در یک بانک کار می‌کند' },
-                { words: ['The', 'birds', 'are', 'flying', 'in', 'the', 'sky'], fa: 'پرندگان در آسمان پرواز می‌کنند' },
-                { words: ['She', 'has', 'a', 'red', 'dress'], fa: 'او یک لباس قرمز دارد' },
-                { words: ['We', 'watch', 'TV', 'at', 'night'], fa: 'ما شب‌ها تلویزیون تماشا می‌کنیم' }
-            ],
-            grammar: [
-                { words: ["She", "don't", "like", "apples."], wrongIdx: 1, correct: "doesn't", options: ["doesn't", "don't", "isn't", "doing"] },
-                { words: ["He", "go", "to", "school."], wrongIdx: 1, correct: "goes", options: ["goes", "going", "gone", "goed"] },
-                { words: ["They", "is", "happy."], wrongIdx: 1, correct: "are", options: ["are", "am", "was", "were"] },
-                { words: ["I", "has", "a", "pen."], wrongIdx: 1, correct: "have", options: ["have", "had", "am having", "has"] },
-                { words: ["We", "was", "at", "home."], wrongIdx: 1, correct: "were", options: ["were", "are", "been", "was"] },
-                { words: ["She", "study", "every", "day."], wrongIdx: 1, correct: "studies", options: ["studies", "studying", "studied", "study"] },
-                { words: ["It", "look", "good."], wrongIdx: 1, correct: "looks", options: ["looks", "look", "looking", "looked"] },
-                { words: ["You", "am", "my", "friend."], wrongIdx: 1, correct: "are", options: ["are", "is", "am", "be"] },
-                { words: ["Children", "is", "playing."], wrongIdx: 1, correct: "are", options: ["are", "was", "is", "be"] },
-                { words: ["I", "sees", "the", "moon."], wrongIdx: 1, correct: "see", options: ["see", "saw", "seeing", "sees"] },
-                { words: ["He", "never", "eat", "fish."], wrongIdx: 2, correct: "eats", options: ["eats", "ate", "eating", "eat"] },
-                { words: ["They", "was", "very", "tired."], wrongIdx: 1, correct: "were", options: ["were", "are", "was", "been"] }
-            ],
-            hangman: [
-                { word: 'GALAXY', hint: 'ستاره‌ها و سیارات' }, { word: 'PYTHON', hint: 'یک زبان برنامه‌نویسی' },
-                { word: 'GUITAR', hint: 'ساز موسیقی' }, { word: 'ORANGE', hint: 'یک میوه نارنجی' },
-                { word: 'COMPUTER', hint: 'دستگاه هوشمند' }, { word: 'AIRPLANE', hint: 'وسیله پرواز' },
-                { word: 'KEYBOARD', hint: 'تایپ کردن' }, { word: 'MOUNTAIN', hint: 'بلندتر از تپه' },
-                { word: 'LIBRARY', hint: 'محل کتاب‌ها' }, { word: 'DIAMOND', hint: 'سنگ قیمتی' },
-                { word: 'UMBRELLA', hint: 'محافظ باران' }, { word: 'VOLCANO', hint: 'کوه آتش‌فشان' },
-                { word: 'SUNGLASS', hint: 'محافظ چشم' }, { word: 'HOSPITAL', hint: 'محل درمان' }
-            ]
-        };
-        return libraries[category] || [];
+    libraryItems(category) {
+        if (category === 'translate') return this.translatePool;
+        if (category === 'words') return this.allWords;
+        if (category === 'pictures') return this.picturePool;
+        const { categories, sentences, grammar, hangman } = this.libraries;
+        if (categories[category]) return categories[category].items;
+        return { sentences, grammar, hangman }[category] || [];
+    }
+
+    // The assignment's word range; the whole list when the range leaves fewer than 4 (one set of options)
+    assignmentWords(items) {
+        const a = this.assignment;
+        if (!a || a.to === null) return items;
+        const words = items.slice(a.from, a.to);
+        return words.length >= 4 ? words : items;
     }
 
     // --- GAME 1: WORD GUESSING ---
     renderGuessGame() {
-        this.guessPool = [
-            { img: 'apple.png', answer: 'APPLE' },
-            { img: 'game_sentence.png', answer: 'PUZZLE' },
-            { img: 'game_animal.png', answer: 'LION' },
-            { img: 'game_job.png', answer: 'DOCTOR' },
-            { img: 'game_color.png', answer: 'COLOR' },
-            { img: 'game_places.png', answer: 'PLACE' },
-            { img: 'game_objects.png', answer: 'OBJECT' },
-            { img: 'game_family.png', answer: 'FAMILY' },
-            { img: 'game_calendar.png', answer: 'TIME' },
-            { img: 'game_clothes.png', answer: 'OUTFIT' }
-        ];
-        const levelData = this.guessPool[this.currentLevel % this.guessPool.length];
+        // Levels come from every word in the content packs that has a picture
+        const levelData = guessForLevel(this.getVocabData('pictures'), this.currentLevel);
+        this.guessData = levelData;
+        this.guessLetters = levelData.answer.replace(/ /g, '');
+        this.setQuestion('این تصویر چیست؟', levelData.answer, { img: levelData.img });
         const extraDifficulty = Math.min(6, Math.floor(this.currentLevel / 5));
-        const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
-        let extras = "";
-        for(let i=0; i<3+extraDifficulty; i++) extras += alphabet[Math.floor(Math.random()*26)];
+        // More of the extra letters look or sound like the answer's as the level rises
+        const confusion = Math.min(0.8, this.currentLevel / 300);
+        const extras = extraLetters(levelData.answer, 3 + extraDifficulty, confusion);
         
         const html = `
             <div class="flex flex-col items-center space-y-8 animate__animated animate__fadeIn" dir="ltr">
                 <div class="glass p-6 rounded-3xl shadow-2xl">
-                    <img src="${levelData.img}" class="w-40 h-40 object-contain">
+                    ${this.pictureHtml(levelData.img, 'w-40 h-40')}
                 </div>
-                <div class="flex gap-2" id="answer-slots">
-                    ${levelData.answer.split('').map(() => `<div onclick="window.app.undoLetter()" class="w-10 h-12 glass rounded-xl flex items-center justify-center text-xl font-bold border-b-4 border-blue-400 cursor-pointer hover:bg-white/10"></div>`).join('')}
+                <div class="flex flex-wrap justify-center gap-x-6 gap-y-2" id="answer-slots">
+                    ${levelData.answer.split(' ').map(word => `
+                        <div class="flex gap-2">
+                            ${word.split('').map(() => `<div onclick="window.app.undoLetter()" class="answer-slot w-10 h-12 glass rounded-xl flex items-center justify-center text-xl font-bold border-b-4 border-blue-400 cursor-pointer hover:bg-white/10"></div>`).join('')}
+                        </div>
+                    `).join('')}
                 </div>
                 <div class="grid grid-cols-6 gap-2" id="letter-pool">
-                    ${this.shuffleString(levelData.answer + extras).split('').map(l => `<button class="letter-btn w-10 h-10 glass rounded-lg font-bold text-lg btn-hover" onclick="window.app.handleLetterClick(this, '${l}')">${l}</button>`).join('')}
+                    ${this.shuffleString(this.guessLetters + extras).split('').map(l => `<button class="letter-btn w-10 h-10 glass rounded-lg font-bold text-lg btn-hover" onclick="window.app.handleLetterClick(this, '${l}')">${l}</button>`).join('')}
                 </div>
                 <button onclick="window.app.undoLetter()" class="text-sm text-gray-400 underline mt-4">پاک کردن آخرین حرف</button>
             </div>
@@ -633,23 +2080,35 @@ class App {
         this.currentGuess = "";
     }
 
+    // Image path, emoji or inline SVG from a content pack
+    pictureHtml(img, size) {
+        const kind = pictureKind(img);
+        if (kind === 'svg') return `<div class="${size} [&>svg]:w-full [&>svg]:h-full">${img}</div>`;
+        if (kind === 'image') return `<img src="${img}" class="${size} object-contain">`;
+        return `<div class="${size} flex items-center justify-center text-8xl leading-none">${img}</div>`;
+    }
+
     handleLetterClick(btn, char) {
         this.playSound('click');
-        const slots = document.getElementById('answer-slots').children;
-        const levelData = this.guessPool[this.currentLevel % this.guessPool.length];
+        const slots = document.querySelectorAll('#answer-slots .answer-slot');
+        const target = this.guessLetters;
 
-        if (this.currentGuess.length < levelData.answer.length) {
+        if (this.currentGuess.length < target.length) {
             slots[this.currentGuess.length].innerText = char;
             this.currentGuess += char;
             btn.dataset.usedIdx = this.currentGuess.length - 1;
             btn.classList.add('opacity-30', 'pointer-events-none');
 
-            if (this.currentGuess.length === levelData.answer.length) {
-                if (this.currentGuess === levelData.answer) {
-                    this.successAction(levelData.answer);
+            if (this.currentGuess.length === target.length) {
+                const answer = this.guessData.answer;
+                if (this.currentGuess === target) {
+                    this.successAction(answer);
                 } else {
-                    this.failAction(levelData.answer);
-                    setTimeout(() => this.renderLevel(), 2000);
+                    // Show the wrong guess with the answer's word breaks
+                    let i = 0;
+                    const given = answer.replace(/[A-Z]/g, () => this.currentGuess[i++]);
+                    this.failAction(answer, 'en-US', given);
+                    this.delays.add(() => this.renderLevel(), 2000);
                 }
             }
         }
@@ -659,7 +2118,7 @@ class App {
         if (this.currentGuess.length === 0) return;
         this.playSound('click');
         const lastIdx = this.currentGuess.length - 1;
-        const slots = document.getElementById('answer-slots').children;
+        const slots = document.querySelectorAll('#answer-slots .answer-slot');
         slots[lastIdx].innerText = '';
         
         // Find the button that provided this letter
@@ -678,31 +2137,34 @@ class App {
 
     // --- GAME 2: FAST TRANSLATE ---
     renderTranslateGame() {
-        const timerBox = document.getElementById('timer-box');
-        timerBox.classList.remove('hidden');
-        const timeLimit = Math.max(3, 12 - Math.floor(this.currentLevel / 15));
-        this.startTimer(timeLimit);
+        const typing = this.isTypingMode();
 
         const library = this.getVocabData('translate');
         // Logic for 600 unique levels:
         // 0-299: English -> Persian
         // 300-599: Persian -> English (reusing library with reversed direction)
         const isReversed = this.currentLevel >= library.length;
-        const wordData = library[this.currentLevel % library.length];
+        const wordData = this.pickWord(library);
+
+        if (typing) {
+            // The keyboard is English, so typed answers are always Persian -> English
+            this.setQuestion(wordData.fa, wordData.en);
+            this.renderTypingQuestion(`
+                <div class="text-gray-400 text-sm mb-4" dir="rtl">ترجمه انگلیسی را بنویسید:</div>
+                <div class="text-5xl font-bold mb-8 gradient-text text-center" dir="rtl">${wordData.fa}</div>
+            `);
+            return;
+        }
         
         const question = isReversed ? wordData.fa : wordData.en;
         const answer = isReversed ? wordData.en : wordData.fa;
         const dir = isReversed ? 'rtl' : 'ltr';
         const optDir = isReversed ? 'ltr' : 'rtl';
 
-        let options = [answer];
-        while(options.length < 4) {
-            const randData = library[Math.floor(Math.random() * library.length)];
-            const randOpt = isReversed ? randData.en : randData.fa;
-            if(!options.includes(randOpt)) options.push(randOpt);
-        }
-        this.shuffleArray(options);
+        const textOf = item => ({ text: isReversed ? item.en : item.fa, pos: this.partOfSpeech.get(item) });
+        const options = this.chooseOptions(textOf(wordData), library.map(textOf));
         const correctIdx = options.indexOf(answer);
+        this.setQuestion(question, answer, { options, lang: isReversed ? 'en-US' : 'fa-IR' });
 
         const html = `
             <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
@@ -729,8 +2191,8 @@ class App {
             this.successAction(correctText, 'fa-IR');
         } else {
             buttons[correct].classList.add('bg-green-500/50', 'border-green-400');
-            this.failAction(correctText, 'fa-IR');
-            setTimeout(() => this.renderLevel(), 2000);
+            this.failAction(correctText, 'fa-IR', buttons[selected].innerText);
+            this.delays.add(() => this.renderLevel(), 2000);
         }
     }
 
@@ -738,7 +2200,8 @@ class App {
     renderSentenceGame() {
         const pool = this.getVocabData('sentences');
         const data = pool[this.currentLevel % pool.length];
-        const shuffled = [...data.words].sort(() => Math.random() - 0.5);
+        // More chips that don't belong (wrong case, wrong mark, distractors) as the level rises
+        const extraCount = this.currentLevel < 100 ? 1 : this.currentLevel < 300 ? 2 : 4;
         
         const html = `
             <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
@@ -748,76 +2211,155 @@ class App {
                 </div>
                 <div id="sentence-target" dir="ltr" class="w-full min-h-[80px] glass rounded-2xl flex flex-wrap gap-2 p-4 mb-8 border-dashed border-2 border-white/20">
                 </div>
-                <div id="sentence-pool" dir="ltr" class="flex flex-wrap gap-3 justify-center">
-                    ${shuffled.map(w => `<button onclick="window.app.moveWord(this)" class="word-chip glass px-4 py-2 rounded-xl text-lg font-medium">${w}</button>`).join('')}
+                <div id="sentence-pool" dir="ltr" class="flex flex-wrap gap-3 justify-center mb-8">
                 </div>
+                <button onclick="window.app.useSentenceHint()" class="glass px-5 py-2 rounded-xl text-sm font-bold btn-hover">💡 راهنما (${SENTENCE_HINT_COST}- امتیاز)</button>
             </div>
         `;
         document.getElementById('game-content').innerHTML = html;
+        this.sentenceData = data;
+        this.sentenceOrders = acceptedOrders(data);
+        this.sentenceChips = buildChips(data, extraCount);
+        this.sentencePoolOrder = this.shuffleArray(this.sentenceChips.map(c => c.id));
+        // Chip ids in the order they were placed; the first `lockedChips` were placed by hints
         this.constructedSentence = [];
-        this.targetSentence = data.words;
+        this.lockedChips = 0;
+        this.sentenceDone = false;
+        this.setQuestion(data.fa, joinWords(data.words));
+        this.updateSentenceUI();
+    }
+
+    updateSentenceUI() {
+        const chip = c => `<button onclick="window.app.moveWord(${c.id})" class="word-chip glass px-4 py-2 rounded-xl text-lg font-medium">${c.text}</button>`;
+        const placed = this.constructedSentence.map(id => this.sentenceChips[id]);
+        document.getElementById('sentence-target').innerHTML = placed.map((c, i) => i < this.lockedChips
+            ? `<span class="word-chip px-4 py-2 rounded-xl text-lg font-medium bg-green-500/30 border border-green-400">${c.text}</span>`
+            : chip(c)).join('');
+        document.getElementById('sentence-pool').innerHTML = this.sentencePoolOrder.filter(id => !this.constructedSentence.includes(id)).map(id => chip(this.sentenceChips[id])).join('');
+    }
+
+    moveWord(id) {
+        if (this.sentenceDone) return;
+        const pos = this.constructedSentence.indexOf(id);
+        if (pos === -1) {
+            this.constructedSentence.push(id);
+        } else if (pos >= this.lockedChips) {
+            this.constructedSentence.splice(pos, 1);
+        } else {
+            return;
+        }
+        this.playSound('click');
+        this.updateSentenceUI();
+        this.checkSentence();
     }
 
-    moveWord(btn) {
-        this.playSound('click');
-        const target = document.getElementById('sentence-target');
-        const word = btn.innerText;
-        
-        if (btn.parentElement.id === 'sentence-pool') {
-            target.appendChild(btn);
-            this.constructedSentence.push(word);
+    checkSentence() {
+        const words = this.constructedSentence.map(id => this.sentenceChips[id].text);
+        if (words.length !== this.sentenceData.words.length) return;
+        this.sentenceDone = true;
+        if (matchesOrder(words, this.sentenceOrders)) {
+            this.successAction(joinWords(words));
         } else {
-            document.getElementById('sentence-pool').appendChild(btn);
-            this.constructedSentence = this.constructedSentence.filter(w => w !== word);
+            this.failAction(joinWords(this.sentenceData.words), 'en-US', joinWords(words));
+            this.delays.add(() => this.renderLevel(), 2500);
         }
+    }
 
-        if (this.constructedSentence.length === this.targetSentence.length) {
-            const isCorrect = this.constructedSentence.every((w, i) => w === this.targetSentence[i]);
-            const fullSentence = this.targetSentence.join(' ');
-            if (isCorrect) {
-                this.successAction(fullSentence);
-            } else {
-                this.failAction(fullSentence);
-                setTimeout(() => this.renderLevel(), 2500);
-            }
-        }
+    // Keeps the correct start of the sentence, returns the rest to the pool
+    // and locks the next correct word in place
+    useSentenceHint() {
+        if (this.sentenceDone) return;
+        const words = this.constructedSentence.map(id => this.sentenceChips[id].text);
+        const { keep, word } = nextHint(words, this.sentenceOrders);
+        this.constructedSentence = this.constructedSentence.slice(0, keep);
+        const next = this.sentenceChips.find(c => c.text === word && !this.constructedSentence.includes(c.id));
+        this.constructedSentence.push(next.id);
+        this.lockedChips = this.constructedSentence.length;
+
+        this.score = Math.max(0, this.score - SENTENCE_HINT_COST);
+        document.getElementById('score').innerText = this.score;
+        this.playSound('click');
+        this.updateSentenceUI();
+        this.checkSentence();
     }
 
     // --- GAME 4: GRAMMAR CHECK ---
     renderGrammarGame() {
         const pool = this.getVocabData('grammar');
-        this.currentGrammarData = pool[this.currentLevel % pool.length];
+        // Rules the learner often gets wrong come up more often
+        this.currentGrammarData = this.grammarStats.pickItem(pool, this.currentLevel);
         this.grammarStep = 1;
+        this.grammarFixed = {};
+        this.grammarMissed = false;
+        this.setGrammarQuestion();
 
         this.updateGrammarUI();
     }
 
+    grammarSentence(fixAll = false) {
+        const data = this.currentGrammarData;
+        return data.words.map((w, i) => {
+            if (i in this.grammarFixed) return this.grammarFixed[i];
+            const err = fixAll && data.errors.find(e => e.idx === i);
+            return err ? err.correct : w;
+        }).join(' ');
+    }
+
+    // The question for the mistakes notebook: the next error still in the sentence, if any
+    setGrammarQuestion() {
+        const data = this.currentGrammarData;
+        const next = data.errors.find(e => !(e.idx in this.grammarFixed));
+        const words = data.words.filter((w, i) => !(i in this.grammarFixed));
+        this.setQuestion(`کدام کلمه این جمله نادرست است؟ ${this.grammarSentence()}`, next ? data.words[next.idx] : GRAMMAR_NO_ERROR, { options: [...words, GRAMMAR_NO_ERROR] });
+    }
+
     updateGrammarUI() {
         const data = this.currentGrammarData;
+        const step = this.grammarStep;
+        const instruction = {
+            1: '۱. اشتباه گرامری را در جمله لمس کنید، یا اگر جمله درست است دکمه پایین را بزنید:',
+            2: '۲. شکل صحیح آن را انتخاب کنید:',
+            3: 'جمله درست:'
+        }[step];
+        const error = data.errors.find(e => e.idx === this.grammarErrorIdx);
         const html = `
             <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
                 <div class="mb-8 text-center">
-                    <div id="grammar-instruction" class="text-lg text-blue-300 mb-6" dir="rtl">
-                        ${this.grammarStep === 1 ? '۱. اشتباه گرامری را در جمله لمس کنید:' : '۲. شکل صحیح آن را انتخاب کنید:'}
-                    </div>
+                    <div id="grammar-instruction" class="text-lg text-blue-300 mb-6" dir="rtl">${instruction}</div>
                     <div class="flex flex-wrap gap-2 justify-center mb-12" dir="ltr">
-                        ${data.words.map((w, i) => `
+                        ${step === 3 ? `<div class="text-2xl font-bold text-green-400">${this.grammarSentence(true)}</div>` : data.words.map((w, i) => {
+                            const fixed = i in this.grammarFixed;
+                            return `
                             <button id="gram-word-${i}" onclick="window.app.checkGrammarMistake(${i})" 
-                                class="text-2xl font-bold p-2 hover:bg-white/10 rounded-lg transition-all ${this.grammarStep === 2 && i === data.wrongIdx ? 'bg-red-500/30 border-b-2 border-red-500' : ''}">
-                                ${w}
+                                class="text-2xl font-bold p-2 hover:bg-white/10 rounded-lg transition-all ${fixed ? 'text-green-400' : ''} ${step === 2 && i === this.grammarErrorIdx ? 'bg-red-500/30 border-b-2 border-red-500' : ''}">
+                                ${fixed ? this.grammarFixed[i] : w}
                             </button>
-                        `).join('')}
+                        `;
+                        }).join('')}
                     </div>
 
-                    ${this.grammarStep === 2 ? `
+                    ${step === 1 ? `
+                    <button onclick="window.app.checkGrammarDone()" class="glass px-6 py-3 rounded-2xl font-bold btn-hover mb-6">✓ ${Object.keys(this.grammarFixed).length ? 'حالا جمله درست است' : GRAMMAR_NO_ERROR}</button>
+                    ` : ''}
+
+                    ${step === 2 ? `
                     <div class="grid grid-cols-2 gap-4 w-full max-w-xs animate__animated animate__bounceIn" dir="ltr">
-                        ${this.shuffleArray([...data.options]).map(opt => `
-                            <button onclick="window.app.checkGrammarCorrection('${opt.replace(/'/g, "\\'")}')" class="glass py-4 rounded-2xl text-lg font-bold btn-hover">
-                                ${opt}
+                        ${this.shuffleArray([...error.options]).map(opt => `
+                            <button data-correction="${escapeHtml(opt)}" class="glass py-4 rounded-2xl text-lg font-bold btn-hover">
+                                ${escapeHtml(opt)}
                             </button>
                         `).join('')}
                     </div>
                     ` : ''}
+
+                    <div id="grammar-explain" class="glass rounded-2xl p-4 text-sm text-right mt-6 ${this.grammarMissed && data.explain ? '' : 'hidden'}" dir="rtl">
+                        <div class="text-yellow-400 font-bold mb-1">${GRAMMAR_RULES[data.rule]}</div>
+                        <div>${data.explain}</div>
+                    </div>
+
+                    ${step === 3 ? `
+                    <button onclick="window.app.renderLevel()" class="mt-6 px-10 py-3 bg-blue-600 rounded-2xl font-bold btn-hover">ادامه</button>
+                    ` : ''}
                 </div>
             </div>
         `;
@@ -825,50 +2367,112 @@ class App {
     }
 
     checkGrammarMistake(idx) {
-        if (this.grammarStep !== 1) return;
+        if (this.grammarStep !== 1 || idx in this.grammarFixed) return;
         this.playSound('click');
-        if (idx === this.currentGrammarData.wrongIdx) {
+        const data = this.currentGrammarData;
+        const error = data.errors.find(e => e.idx === idx);
+        if (error) {
             this.grammarStep = 2;
+            this.grammarErrorIdx = idx;
+            this.setQuestion(`شکل درست «${data.words[idx]}» در جمله: ${this.grammarSentence()}`, error.correct, { options: error.options });
             this.updateGrammarUI();
         } else {
-            this.failAction();
+            this.grammarMissed = true;
+            this.failAction('', 'en-US', data.words[idx]);
+            // A wrong tap doesn't end the question
+            this.resumeTimer();
+            if (data.explain) document.getElementById('grammar-explain').classList.remove('hidden');
             gsap.to(`#gram-word-${idx}`, { x: 5, repeat: 3, yoyo: true, duration: 0.05 });
         }
     }
 
     checkGrammarCorrection(selected) {
         if (this.grammarStep !== 2) return;
-        if (selected === this.currentGrammarData.correct) {
-            this.successAction(this.currentGrammarData.words.join(' ').replace(this.currentGrammarData.words[this.currentGrammarData.wrongIdx], selected));
+        const error = this.currentGrammarData.errors.find(e => e.idx === this.grammarErrorIdx);
+        if (selected === error.correct) {
+            this.playSound('click');
+            this.grammarFixed[error.idx] = selected;
+            this.grammarStep = 1;
+            this.setGrammarQuestion();
+            this.updateGrammarUI();
         } else {
-            this.failAction(this.currentGrammarData.correct);
-            setTimeout(() => this.renderLevel(), 2000);
+            this.finishGrammar(false, selected);
         }
     }
 
+    // "The sentence is correct": right once every error has been fixed
+    checkGrammarDone() {
+        if (this.grammarStep !== 1) return;
+        const remaining = this.currentGrammarData.errors.filter(e => !(e.idx in this.grammarFixed));
+        this.finishGrammar(remaining.length === 0, GRAMMAR_NO_ERROR);
+    }
+
+    finishGrammar(isCorrect, given) {
+        const data = this.currentGrammarData;
+        this.grammarStats.record(data.rule, isCorrect && !this.grammarMissed);
+        this.saveGrammarStats();
+        if (isCorrect) {
+            this.successAction(this.grammarSentence());
+            return;
+        }
+        // Stay on the corrected sentence and its explanation until the learner moves on
+        this.grammarStep = 3;
+        this.grammarMissed = true;
+        this.failAction(this.grammarSentence(true), 'en-US', given);
+        this.updateGrammarUI();
+    }
+
     // --- GAME 5: HANGMAN ---
     renderHangmanGame() {
-        const words = [
-            { word: 'GALAXY', hint: 'ستاره‌ها و سیارات' },
-            { word: 'PYTHON', hint: 'یک زبان برنامه‌نویسی' },
-            { word: 'GUITAR', hint: 'ساز موسیقی' },
-            { word: 'ORANGE', hint: 'یک میوه نارنجی' }
-        ];
-        const data = words[this.currentLevel % words.length];
+        // One pool: the hangman list plus every category, or the category the player chose
+        let pool = buildHangmanPool(this.libraries, this.assignment ? HANGMAN_ALL : this.settings.hangmanCategory);
+        if (!pool.length) {
+            this.settings.hangmanCategory = HANGMAN_ALL;
+            pool = buildHangmanPool(this.libraries);
+        }
+        // An assignment picks its words from the whole pool, whatever category the learner chose
+        pool = this.assignmentWords(pool);
+        const data = pickHangmanWord(pool, this.currentLevel, this.maxLevels);
+        this.hangmanData = data;
         this.hangmanWord = data.word;
         this.guessedLetters = new Set();
         this.mistakes = 0;
         this.maxMistakes = 6;
+        this.setQuestion(data.hint, data.word);
 
-        this.updateHangmanUI(data.hint);
+        this.updateHangmanUI();
     }
 
-    updateHangmanUI(hint) {
-        const displayWord = this.hangmanWord.split('').map(l => this.guessedLetters.has(l) ? l : '_').join(' ');
+    setHangmanCategory(category) {
+        this.playSound('click');
+        this.settings.hangmanCategory = category;
+        this.saveSettings();
+        this.renderLevel();
+    }
+
+    updateHangmanUI() {
+        const data = this.hangmanData;
+        const hidden = l => l !== ' ' && !this.guessedLetters.has(l);
+        const solved = !this.hangmanWord.split('').some(hidden);
+        const lost = !solved && this.mistakes >= this.maxMistakes;
+        const ended = solved || lost;
+        // Words are separated by a wider gap than letters
+        const displayWord = this.hangmanWord.split(' ').map(w => w.split('').map(l => hidden(l) ? '_' : l).join(' ')).join('   ');
         const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split('');
+        const categories = [
+            [HANGMAN_ALL, 'همه'],
+            [HANGMAN_LIST, 'کلمات ویژه'],
+            ...Object.keys(this.libraries.categories).map(name => [name, this.libraries.categories[name].label])
+        ];
         
         const html = `
             <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn" dir="ltr">
+                <div class="flex gap-2 w-full overflow-x-auto pb-2 mb-4" dir="rtl">
+                    ${categories.map(([name, label]) => `
+                        <button onclick="window.app.setHangmanCategory('${name}')" class="shrink-0 glass px-3 py-1 rounded-full text-xs font-bold ${name === this.settings.hangmanCategory ? 'bg-blue-600' : 'btn-hover'}">${label}</button>
+                    `).join('')}
+                </div>
+
                 <!-- Hangman Drawing -->
                 <div class="w-32 h-32 mb-4 relative">
                     <svg viewBox="0 0 100 100" class="w-full h-full stroke-white fill-none stroke-[3]">
@@ -884,12 +2488,14 @@ class App {
                     </svg>
                 </div>
 
-                <div class="text-sm text-gray-400 mb-2" dir="rtl">راهنما: ${hint}</div>
-                <div class="text-4xl font-mono tracking-widest mb-10 text-blue-300">${displayWord}</div>
+                <div class="text-sm text-gray-400 mb-2" dir="rtl">راهنما: ${data.hint}</div>
+                <div class="text-4xl font-mono tracking-widest mb-4 text-blue-300 text-center whitespace-pre-wrap">${displayWord}</div>
+                ${ended && data.fa ? `<div class="text-xl font-bold mb-6 ${solved ? 'text-green-400' : 'text-yellow-400'}" dir="rtl">ترجمه: ${data.fa}</div>` : ''}
+                ${!ended ? `<button onclick="window.app.revealHangmanLetter()" class="glass px-5 py-2 rounded-xl text-sm font-bold btn-hover mb-6" dir="rtl">💡 نمایش یک حرف (${HANGMAN_HINT_COST}- امتیاز)</button>` : ''}
                 
                 <div class="grid grid-cols-7 gap-2 max-w-md">
                     ${alphabet.map(l => {
-                        const used = this.guessedLetters.has(l);
+                        const used = this.guessedLetters.has(l) || ended;
                         return `<button 
                             onclick="window.app.guessHangman('${l}')" 
                             ${used ? 'disabled' : ''} 
@@ -901,66 +2507,103 @@ class App {
         `;
         document.getElementById('game-content').innerHTML = html;
 
-        if (!displayWord.includes('_')) {
+        if (solved) {
             this.successAction(this.hangmanWord);
-        } else if (this.mistakes >= this.maxMistakes) {
-            this.failAction(this.hangmanWord);
-            setTimeout(() => this.renderLevel(), 2000);
+        } else if (lost) {
+            this.failAction(this.hangmanWord, 'en-US', displayWord);
+            this.delays.add(() => this.renderLevel(), 2500);
         }
     }
 
     guessHangman(letter) {
+        if (this.guessedLetters.has(letter) || this.mistakes >= this.maxMistakes) return;
         this.playSound('click');
         this.guessedLetters.add(letter);
         if (!this.hangmanWord.includes(letter)) {
             this.mistakes++;
             this.playSound('fail');
         }
-        const library = this.getVocabData('hangman');
-        const data = library[this.currentLevel % library.length];
-        this.updateHangmanUI(data.hint);
+        this.updateHangmanUI();
+    }
+
+    // Shows one letter that hasn't been found yet, at a cost
+    revealHangmanLetter() {
+        const hidden = [...new Set(this.hangmanWord.replace(/ /g, ''))].filter(l => !this.guessedLetters.has(l));
+        if (!hidden.length || this.mistakes >= this.maxMistakes) return;
+        this.playSound('click');
+        this.guessedLetters.add(hidden[Math.floor(Math.random() * hidden.length)]);
+        this.score = Math.max(0, this.score - HANGMAN_HINT_COST);
+        document.getElementById('score').innerText = this.score;
+        this.updateHangmanUI();
     }
 
     // --- NEW GAMES ---
 
-    numberToWords(n) {
-        const ones = ["ZERO", "ONE", "TWO", "THREE", "FOUR", "FIVE", "SIX", "SEVEN", "EIGHT", "NINE", "TEN", "ELEVEN", "TWELVE", "THIRTEEN", "FOURTEEN", "FIFTEEN", "SIXTEEN", "SEVENTEEN", "EIGHTEEN", "NINETEEN"];
-        const tens = ["", "", "TWENTY", "THIRTY", "FORTY", "FIFTY", "SIXTY", "SEVENTY", "EIGHTY", "NINETY"];
-        if (n < 20) return ones[n];
-        if (n < 100) return tens[Math.floor(n / 10)] + (n % 10 !== 0 ? " " + ones[n % 10] : "");
-        if (n < 1000) return ones[Math.floor(n / 100)] + " HUNDRED" + (n % 100 !== 0 ? " " + this.numberToWords(n % 100) : "");
-        return n.toString();
+    // Number task for the current level. Plain numbers grow with the level;
+    // ordinals and years are mixed in from the start, decimals and negatives later on.
+    numberTask(offset) {
+        const level = this.currentLevel;
+        if (level % 5 === 3) return { kind: 'ordinal', value: (level * 3) % 200 + 1 };
+        if (level % 5 === 4) return { kind: 'year', value: 1500 + (level * 37) % 530 };
+        if (level >= 300 && level % 5 === 2) return { kind: 'decimal', value: (Math.floor(level / 5) % 50 * 10 + level % 9 + 1) / 10 };
+        if (level >= 450 && level % 10 === 1) return { kind: 'negative', value: -(level % 50 + 1) };
+        return { kind: 'number', value: level * 4 + offset };
+    }
+
+    // Close, believable wrong values for a number task
+    numberFoils(task) {
+        const offsets = {
+            number: [-20, -10, -2, -1, 1, 2, 10, 20, 50, -50],
+            ordinal: [-2, -1, 1, 2, 10, -10],
+            year: [-1, 1, -10, 10, -100, 100],
+            decimal: [-1, 1, -0.1, 0.1, 10, -10],
+            negative: [-1, 1, -10, 10]
+        }[task.kind];
+        let foils = offsets.map(off => Math.round((task.value + off) * 10) / 10);
+        if (task.kind === 'negative') foils.push(-task.value);
+        if (task.kind === 'ordinal') foils = foils.filter(v => v >= 1);
+        if (task.kind === 'number' || task.kind === 'decimal') foils = foils.filter(v => v > 0);
+        return this.shuffleArray(foils);
+    }
+
+    numberDigits(task, value) {
+        return task.kind === 'ordinal' ? ordinalSuffix(value) : String(value);
+    }
+
+    numberWords(task, value) {
+        if (task.kind === 'ordinal') return ordinalToWords(value);
+        if (task.kind === 'year') return yearToWords(value);
+        return numberToWords(value);
     }
 
     renderNumToWordGame() {
-        // Level-based value for 200 unique, harder levels (up to 800+)
-        const val = (this.currentLevel * 4) + 7;
-        const targetWord = this.numberToWords(val);
+        const task = this.numberTask(7);
+        const targetWord = this.numberWords(task, task.value);
         
         let options = [targetWord];
         // Generate foils that are numerically close to make it harder
-        const offsets = [-20, -10, -1, 1, 10, 20, 50, -50];
-        this.shuffleArray(offsets);
-        for (let off of offsets) {
+        for (let foilVal of this.numberFoils(task)) {
             if (options.length >= 4) break;
-            let foilVal = Math.max(0, val + off);
-            let opt = this.numberToWords(foilVal);
+            let opt = this.numberWords(task, foilVal);
             if (!options.includes(opt)) options.push(opt);
         }
         while(options.length < 4) {
-            let rand = Math.floor(Math.random() * 999);
-            let opt = this.numberToWords(rand);
+            let rand = Math.floor(Math.random() * 999) + 1;
+            let opt = this.numberWords(task, rand);
             if(!options.includes(opt)) options.push(opt);
         }
         this.shuffleArray(options);
+        const prompt = this.numberDigits(task, task.value);
+        this.setQuestion(prompt, targetWord, { options });
 
         const html = `
             <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
-                <div class="text-7xl font-bold mb-12 gradient-text">${val}</div>
+                ${task.kind === 'year' ? '<div class="text-lg opacity-60 mb-2">سال</div>' : ''}
+                <div class="text-7xl font-bold mb-12 gradient-text" dir="ltr">${prompt}</div>
                 <div class="grid grid-cols-1 gap-3 w-full max-w-xs" dir="ltr">
                     ${options.map(opt => `
-                        <button onclick="window.app.checkChoice('${opt}', '${targetWord}')" class="glass py-3 rounded-2xl text-lg font-bold btn-hover">
-                            ${opt}
+                        <button data-choice="${escapeHtml(opt)}" data-correct="${escapeHtml(targetWord)}" class="glass py-3 rounded-2xl text-lg font-bold btn-hover">
+                            ${escapeHtml(opt)}
                         </button>
                     `).join('')}
                 </div>
@@ -970,31 +2613,31 @@ class App {
     }
 
     renderWordToNumGame() {
-        // Level-based value for 200 unique, harder levels
-        const val = (this.currentLevel * 4) + 3;
-        const targetWord = this.numberToWords(val);
+        const task = this.numberTask(3);
+        const targetWord = this.numberWords(task, task.value);
+        const answer = this.numberDigits(task, task.value);
         
-        let options = [val];
-        const offsets = [-20, -10, -2, -1, 1, 2, 10, 20];
-        this.shuffleArray(offsets);
-        for (let off of offsets) {
+        let options = [answer];
+        for (let foilVal of this.numberFoils(task)) {
             if (options.length >= 4) break;
-            let foilVal = Math.max(0, val + off);
-            if (!options.includes(foilVal)) options.push(foilVal);
+            let opt = this.numberDigits(task, foilVal);
+            if (!options.includes(opt)) options.push(opt);
         }
         while(options.length < 4) {
-            let rand = Math.floor(Math.random() * 999);
-            if(!options.includes(rand)) options.push(rand);
+            let opt = this.numberDigits(task, Math.floor(Math.random() * 999) + 1);
+            if(!options.includes(opt)) options.push(opt);
         }
         this.shuffleArray(options);
+        this.setQuestion(targetWord, answer, { options });
 
         const html = `
             <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
+                ${task.kind === 'year' ? '<div class="text-lg opacity-60 mb-2">سال</div>' : ''}
                 <div class="text-4xl font-bold mb-12 gradient-text text-center px-4" dir="ltr">${targetWord}</div>
                 <div class="grid grid-cols-2 gap-4 w-full max-w-xs" dir="ltr">
                     ${options.map(opt => `
-                        <button onclick="window.app.checkChoice(${opt}, ${val})" class="glass py-4 rounded-2xl text-xl font-bold btn-hover">
-                            ${opt}
+                        <button data-choice="${escapeHtml(opt)}" data-correct="${escapeHtml(answer)}" class="glass py-4 rounded-2xl text-xl font-bold btn-hover">
+                            ${escapeHtml(opt)}
                         </button>
                     `).join('')}
                 </div>
@@ -1004,25 +2647,20 @@ class App {
     }
 
     renderColorsGame() {
-        const colors = [
-            { name: 'RED', hex: '#ef4444', fa: 'قرمز' },
-            { name: 'BLUE', hex: '#3b82f6', fa: 'آبی' },
-            { name: 'GREEN', hex: '#22c55e', fa: 'سبز' },
-            { name: 'YELLOW', hex: '#eab308', fa: 'زرد' },
-            { name: 'PURPLE', hex: '#a855f7', fa: 'بنفش' }
-        ];
-        const data = colors[this.currentLevel % colors.length];
-        const options = this.shuffleArray([data.name, 'ORANGE', 'BLACK', 'WHITE', 'BROWN']).slice(0, 4);
-        if (!options.includes(data.name)) options[0] = data.name;
-        this.shuffleArray(options);
+        const colors = this.getVocabData('colors');
+        const color = colors[this.currentLevel % colors.length];
+        const data = { name: color.en.toUpperCase(), hex: color.hex };
+        const textOf = c => ({ text: c.en.toUpperCase(), pos: this.partOfSpeech.get(c) });
+        const options = this.chooseOptions(textOf(color), colors.map(textOf));
+        this.setQuestion('این چه رنگی است؟', data.name, { color: data.hex, options });
 
         const html = `
             <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
-                <div class="w-32 h-32 rounded-full mb-12 shadow-2xl border-4 border-white/20" style="background-color: ${data.hex}"></div>
+                <div class="w-32 h-32 rounded-full mb-12 shadow-2xl border-4 border-white/20" style="background-color: ${escapeHtml(data.hex)}"></div>
                 <div class="grid grid-cols-2 gap-4 w-full max-w-xs" dir="ltr">
                     ${options.map(opt => `
-                        <button onclick="window.app.checkChoice('${opt}', '${data.name}')" class="glass py-4 rounded-2xl text-lg font-bold btn-hover">
-                            ${opt}
+                        <button data-choice="${escapeHtml(opt)}" data-correct="${escapeHtml(data.name)}" class="glass py-4 rounded-2xl text-lg font-bold btn-hover">
+                            ${escapeHtml(opt)}
                         </button>
                     `).join('')}
                 </div>
@@ -1040,13 +2678,11 @@ class App {
     }
 
     renderDaysGame() {
-        const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-        this.renderSequencePlacementGame(days, 'جاهای خالی روزهای هفته را پر کنید:', 'game_calendar.png');
+        this.renderSequencePlacementGame(DAYS, 'جاهای خالی روزهای هفته را پر کنید:', 'game_calendar.png');
     }
 
     renderMonthsGame() {
-        const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-        this.renderSequencePlacementGame(months, 'جاهای خالی ماه‌های سال را پر کنید:', 'game_calendar.png', 'hue-rotate(45deg)');
+        this.renderSequencePlacementGame(MONTHS, 'جاهای خالی ماه‌های سال را پر کنید:', 'game_calendar.png', 'hue-rotate(45deg)');
     }
 
     renderSequencePlacementGame(fullList, title, icon = 'game_calendar.png', filter = '') {
@@ -1084,6 +2720,7 @@ class App {
         this.targetSequence = correctAnswers;
         this.missingIndices = missingIndices;
         this.fullList = fullList;
+        this.setQuestion(title, correctAnswers.join('، '));
     }
 
     placeInSlot(btn) {
@@ -1128,8 +2765,8 @@ class App {
             if (isCorrect) {
                 this.successAction();
             } else {
-                this.failAction();
-                setTimeout(() => this.renderLevel(), 2000);
+                this.failAction('', 'en-US', Array.from(slots).map(s => s.innerText).join('، '));
+                this.delays.add(() => this.renderLevel(), 2000);
             }
         }
     }
@@ -1158,26 +2795,603 @@ class App {
         this.renderCategoryChoiceGame('verbs', 'game_translate.png', 'hue-rotate(280deg)');
     }
 
+    // --- DATES (Jalali -> English) ---
+
+    renderDatesGame() {
+        const level = this.currentLevel;
+        const jalali = jalaliDateForLevel(level);
+        const g = jalaliToGregorian(jalali.year, jalali.month, jalali.day);
+        let title, answer, options;
+
+        if (level % 3 === 2) {
+            // Day of the week; neighbouring days are the likeliest slips
+            answer = weekdayOf(g);
+            const idx = DAYS.indexOf(answer);
+            options = this.shuffleArray([answer, DAYS[(idx + 1) % 7], DAYS[(idx + 6) % 7], DAYS[(idx + 3) % 7]]);
+            title = 'این روز چه روزی از هفته است؟';
+        } else {
+            const style = level % 3 === 0 ? 'ordinal' : 'short';
+            answer = englishDate(g.month, g.day, style);
+            const clampDay = (month, day) => Math.min(Math.max(day, 1), gregorianMonthLength(g.year, month));
+            const foils = [
+                { month: g.month, day: g.day + 1 },
+                { month: g.month, day: g.day - 1 },
+                // the Jalali day number or month number read as if they were Gregorian
+                { month: g.month, day: jalali.day },
+                { month: jalali.month, day: g.day },
+                { month: g.month % 12 + 1, day: g.day }
+            ].map(f => englishDate(f.month, clampDay(f.month, f.day), style));
+            options = [answer];
+            foils.forEach(f => {
+                if (options.length < 4 && !options.includes(f)) options.push(f);
+            });
+            while (options.length < 4) {
+                const month = Math.floor(Math.random() * 12) + 1;
+                const opt = englishDate(month, clampDay(month, g.day), style);
+                if (!options.includes(opt)) options.push(opt);
+            }
+            this.shuffleArray(options);
+            title = 'این تاریخ به میلادی چه می‌شود؟';
+        }
+        this.setQuestion(`${formatJalali(jalali)} — ${title}`, answer, { options });
+
+        const html = `
+            <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
+                <img src="game_calendar.png" class="w-20 h-20 mb-4" style="filter: hue-rotate(90deg);">
+                <div class="text-sm text-gray-400 mb-2">${title}</div>
+                <div class="text-3xl font-bold mb-10 gradient-text">${formatJalali(jalali)}</div>
+                <div class="grid grid-cols-1 gap-3 w-full max-w-xs" dir="ltr">
+                    ${options.map(opt => `
+                        <button data-choice="${escapeHtml(opt)}" data-correct="${escapeHtml(answer)}" class="glass py-3 rounded-2xl text-lg font-bold btn-hover">
+                            ${escapeHtml(opt)}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+        document.getElementById('game-content').innerHTML = html;
+    }
+
+    // --- TELLING THE TIME ---
+
+    clockSvg() {
+        const ticks = Array.from({ length: 12 }, (_, i) => {
+            const a = i * Math.PI / 6;
+            const inner = i % 3 === 0 ? 36 : 40;
+            return `<line x1="${50 + inner * Math.sin(a)}" y1="${50 - inner * Math.cos(a)}" x2="${50 + 44 * Math.sin(a)}" y2="${50 - 44 * Math.cos(a)}" stroke-opacity="${i % 3 === 0 ? 1 : 0.4}" />`;
+        }).join('');
+        return `
+            <svg viewBox="0 0 100 100" class="w-full h-full stroke-white fill-none stroke-[3]">
+                <circle cx="50" cy="50" r="47" stroke-opacity="0.3" />
+                ${ticks}
+                <g class="fill-white stroke-none text-[8px] font-bold" text-anchor="middle">
+                    <text x="50" y="30">12</text><text x="73" y="53">3</text><text x="50" y="76">6</text><text x="27" y="53">9</text>
+                </g>
+                <line id="clock-hour" x1="50" y1="50" x2="50" y2="28" stroke-width="4" stroke-linecap="round" />
+                <line id="clock-minute" x1="50" y1="50" x2="50" y2="14" stroke-linecap="round" class="stroke-blue-300" />
+                <circle cx="50" cy="50" r="3" class="fill-white" />
+            </svg>
+        `;
+    }
+
+    // Turns the hands the short way round, so 11:55 -> 12:00 doesn't spin backwards
+    setClockHands(hour, minute, duration = 0.3) {
+        const target = handAngles(hour, minute);
+        ['hour', 'minute'].forEach(hand => {
+            const current = this.clockAngles[hand];
+            const delta = ((target[hand] - current) % 360 + 540) % 360 - 180;
+            this.clockAngles[hand] = current + delta;
+            gsap.to(`#clock-${hand}`, { rotation: this.clockAngles[hand], svgOrigin: '50 50', duration });
+        });
+    }
+
+    renderTimeGame() {
+        const level = this.currentLevel;
+        const step = clockStepForLevel(level);
+        const { hour, minute } = timeForLevel(level);
+        // Three kinds of question in turn; both ways of saying the time take turns after each round
+        const mode = level % 3;
+        const toPhrase = Math.floor(level / 3) % 2 === 0 ? classicTimePhrase : digitalTimePhrase;
+        const phrase = toPhrase(hour, minute);
+
+        const foils = confusableTimes(hour, minute, step);
+        while (foils.length < 3) {
+            const t = timeForLevel(Math.floor(Math.random() * this.maxLevels));
+            const m = t.minute - t.minute % step;
+            if ((t.hour !== hour || m !== minute) && !foils.some(f => f.hour === t.hour && f.minute === m)) foils.push({ hour: t.hour, minute: m });
+        }
+        this.clockTarget = { hour, minute };
+        this.clockStep = step;
+        this.clockAngles = { hour: 0, minute: 0 };
+
+        let html;
+        let shown = { hour, minute };
+        if (mode === 0) {
+            // Read the clock, pick the phrase
+            const options = this.shuffleArray([phrase, ...foils.slice(0, 3).map(t => toPhrase(t.hour, t.minute))]);
+            this.setQuestion(`🕒 ${formatTime(hour, minute)}`, phrase, { options });
+            html = `
+                <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
+                    <div class="text-lg font-bold mb-4 text-blue-300">ساعت چند است؟</div>
+                    <div class="w-44 h-44 mb-8">${this.clockSvg()}</div>
+                    <div class="grid grid-cols-1 gap-3 w-full max-w-xs" dir="ltr">
+                        ${options.map(opt => `
+                            <button data-choice="${escapeHtml(opt)}" data-correct="${escapeHtml(phrase)}" class="glass py-3 rounded-2xl text-lg font-bold btn-hover">
+                                ${escapeHtml(opt)}
+                            </button>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        } else if (mode === 1) {
+            // Read the clock, build the phrase from word chips, with a couple of words
+            // from the confusable times mixed in (built and checked like a sentence)
+            const words = phrase.split(' ');
+            const extras = [...new Set(foils.flatMap(t => toPhrase(t.hour, t.minute).split(' ')))].filter(w => !words.includes(w));
+            this.sentenceData = { words };
+            this.sentenceOrders = [words];
+            this.sentenceChips = [...words, ...extras.slice(0, 2)].map((text, id) => ({ id, text }));
+            this.sentencePoolOrder = this.shuffleArray(this.sentenceChips.map(c => c.id));
+            this.constructedSentence = [];
+            this.lockedChips = 0;
+            this.sentenceDone = false;
+            this.setQuestion(`🕒 ${formatTime(hour, minute)}`, phrase);
+            html = `
+                <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
+                    <div class="text-lg font-bold mb-4 text-blue-300">ساعت را به انگلیسی بسازید:</div>
+                    <div class="w-40 h-40 mb-6">${this.clockSvg()}</div>
+                    <div id="sentence-target" dir="ltr" class="w-full min-h-[64px] glass rounded-2xl flex flex-wrap gap-2 p-3 mb-6 border-dashed border-2 border-white/20">
+                    </div>
+                    <div id="sentence-pool" dir="ltr" class="flex flex-wrap gap-3 justify-center">
+                    </div>
+                </div>
+            `;
+        } else {
+            // Set the hands to match the phrase, starting anywhere but the answer
+            do {
+                shown = { hour: Math.floor(Math.random() * 12) + 1, minute: Math.floor(Math.random() * (60 / step)) * step };
+            } while (shown.hour === hour && shown.minute === minute);
+            this.clockHands = { ...shown };
+            const options = [formatTime(hour, minute), ...foils.slice(0, 3).map(t => formatTime(t.hour, t.minute))];
+            this.setQuestion(phrase, formatTime(hour, minute), { options });
+            const handButtons = (hand, label) => `
+                <div class="flex items-center gap-2">
+                    <button onclick="window.app.moveClockHand('${hand}', -1)" class="w-10 h-10 glass rounded-lg font-bold btn-hover">◀</button>
+                    <span class="w-20 text-center text-sm">${label}</span>
+                    <button onclick="window.app.moveClockHand('${hand}', 1)" class="w-10 h-10 glass rounded-lg font-bold btn-hover">▶</button>
+                </div>
+            `;
+            html = `
+                <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
+                    <div class="text-sm text-gray-400 mb-2">عقربه‌ها را تنظیم کنید:</div>
+                    <div class="text-2xl font-bold mb-6 gradient-text text-center" dir="ltr">${phrase}</div>
+                    <div class="w-44 h-44 mb-6">${this.clockSvg()}</div>
+                    <div class="flex flex-col gap-2 mb-6" dir="ltr">
+                        ${handButtons('hour', 'ساعت‌شمار')}
+                        ${step < 60 ? handButtons('minute', 'دقیقه‌شمار') : ''}
+                    </div>
+                    <button onclick="window.app.checkClock()" class="px-10 py-3 bg-blue-600 rounded-2xl font-bold btn-hover">بررسی</button>
+                </div>
+            `;
+        }
+        document.getElementById('game-content').innerHTML = html;
+        this.setClockHands(shown.hour, shown.minute, 0);
+        if (mode === 1) this.updateSentenceUI();
+    }
+
+    moveClockHand(hand, dir) {
+        this.playSound('click');
+        const h = this.clockHands;
+        if (hand === 'hour') {
+            h.hour = (h.hour + dir + 11) % 12 + 1;
+        } else {
+            h.minute = (h.minute + dir * this.clockStep + 60) % 60;
+        }
+        this.setClockHands(h.hour, h.minute);
+    }
+
+    checkClock() {
+        const { hour, minute } = this.clockTarget;
+        const h = this.clockHands;
+        const phrase = this.currentQuestion.prompt;
+        if (h.hour === hour && h.minute === minute) {
+            this.successAction(phrase);
+        } else {
+            this.failAction(phrase, 'en-US', formatTime(h.hour, h.minute));
+            document.getElementById('clock-minute').classList.replace('stroke-blue-300', 'stroke-green-400');
+            this.setClockHands(hour, minute, 0.6);
+            this.delays.add(() => this.renderLevel(), 2000);
+        }
+    }
+
+    // --- TIME ATTACK & QUESTION TIMER ---
+
+    toggleQuestionTimer(type) {
+        this.playSound('click');
+        if (this.settings.timers[type]) {
+            delete this.settings.timers[type];
+        } else {
+            this.settings.timers[type] = true;
+        }
+        this.saveSettings();
+        this.updateMenuUI();
+    }
+
+    // Starts the per-question timer when it is on for this game (not during time attack);
+    // an assignment decides it for the learner
+    startQuestionTimer() {
+        const timed = this.assignment ? this.assignment.timer : this.settings.timers[this.currentGame];
+        if (this.timeAttack || !timed) return;
+        document.getElementById('timer-box').classList.remove('hidden');
+        const base = QUESTION_TIME[this.currentGame] || DEFAULT_QUESTION_TIME;
+        this.startTimer(questionTimeLimit(base, this.currentLevel, this.isTypingMode()));
+    }
+
+    async startTimeAttack(type) {
+        if (!(await this.checkGameContent(type))) return;
+        this.timeAttack = { game: type, timeLeft: TIME_ATTACK_SECONDS, correct: 0, answered: 0, interval: null, ended: false };
+        const gameProgress = this.progress[type] || { level: 0, medals: 0, completed: false };
+        this.actualStart(type, gameProgress.completed ? 0 : gameProgress.level);
+
+        document.getElementById('timer-box').classList.remove('hidden');
+        document.getElementById('timer').innerText = this.timeAttack.timeLeft;
+        this.timeAttack.interval = setInterval(() => this.tickTimeAttack(), 1000);
+    }
+
+    tickTimeAttack() {
+        const ta = this.timeAttack;
+        ta.timeLeft--;
+        document.getElementById('timer').innerText = Math.max(0, ta.timeLeft);
+        if (ta.timeLeft <= 0) this.endTimeAttack();
+    }
+
+    // True for the first answer to the question on screen. Grammar keeps its
+    // question open after a wrong tap; counts and costs go by questions, not taps.
+    firstAnswer() {
+        if (this.questionAnswered) return false;
+        this.questionAnswered = true;
+        return true;
+    }
+
+    // Called from successAction / failAction while a session runs, once per question
+    recordTimeAttackAnswer(isCorrect) {
+        const ta = this.timeAttack;
+        if (!ta || ta.ended) return;
+        ta.answered++;
+        if (!isCorrect) return;
+        ta.correct++;
+        ta.timeLeft += TIME_ATTACK_BONUS;
+        document.getElementById('timer').innerText = ta.timeLeft;
+        gsap.fromTo('#timer-box', { scale: 1.3 }, { scale: 1, duration: 0.4, ease: 'back.out' });
+    }
+
+    endTimeAttack() {
+        const ta = this.timeAttack;
+        clearInterval(ta.interval);
+        ta.ended = true;
+        this.stopTimer();
+        this.typingActive = false;
+        const session = this.endSession();
+        const result = { correct: ta.correct, answered: ta.answered, score: this.score };
+        const isBest = this.timeAttackRecords.record(ta.game, result);
+        this.saveTimeAttackRecords();
+        this.checkAchievements('time-attack', { correct: ta.correct });
+        const best = this.timeAttackRecords.get(ta.game);
+        this.playSound(isBest && ta.correct > 0 ? 'success' : 'click');
+        if (isBest && ta.correct > 0) confetti({ particleCount: 150, spread: 90, origin: { y: 0.6 } });
+
+        const html = `
+            <div class="flex flex-col items-center w-full px-4 animate__animated animate__zoomIn">
+                <div class="text-6xl mb-4">⚡</div>
+                <div class="text-2xl font-bold mb-2">زمان تمام شد!</div>
+                <div class="text-sm text-gray-400 mb-6">${this.getGameName(ta.game)}</div>
+                <div class="glass rounded-3xl p-6 w-full max-w-xs text-center mb-6">
+                    <div class="text-5xl font-bold gradient-text mb-2">${ta.correct}</div>
+                    <div class="text-sm mb-4">پاسخ درست از ${ta.answered} سؤال</div>
+                    <div class="text-sm">امتیاز: ${this.score}</div>
+                    <div class="text-sm mt-2 ${isBest && ta.correct > 0 ? 'text-yellow-400 font-bold' : 'text-gray-400'}">
+                        ${isBest && ta.correct > 0 ? '🏆 رکورد جدید!' : `بهترین رکورد: ${best ? best.correct : 0} پاسخ درست`}
+                    </div>
+                </div>
+                ${session ? `<div class="flex flex-col gap-4 w-full max-w-xs mb-6">${this.sessionSummaryHtml(session)}</div>` : ''}
+                <div class="flex gap-3">
+                    <button onclick="window.app.restartTimeAttack()" class="px-8 py-3 bg-blue-600 rounded-2xl font-bold btn-hover">دوباره</button>
+                    <button onclick="window.app.showMenu()" class="px-8 py-3 glass rounded-2xl font-bold btn-hover">منو</button>
+                </div>
+                ${this.sessionMistakeIds(session).length ? `<button onclick="window.app.practiceSessionMistakes()" class="mt-3 px-8 py-3 glass rounded-2xl font-bold btn-hover">تمرین دوباره اشتباه‌ها</button>` : ''}
+            </div>
+        `;
+        document.getElementById('game-content').innerHTML = html;
+    }
+
+    restartTimeAttack() {
+        const game = this.timeAttack.game;
+        this.timeAttack = null;
+        this.startTimeAttack(game);
+    }
+
+    // Leaving the game ends the session without a result
+    stopTimeAttack() {
+        if (!this.timeAttack) return;
+        clearInterval(this.timeAttack.interval);
+        this.timeAttack = null;
+    }
+
+    // --- TEACHER ASSIGNMENTS (link and result code formats in assignment.js) ---
+    // `?assign=...` or an Eitaa start parameter starting with "as_", or null
+    readAssignmentLink() {
+        const fromUrl = new URLSearchParams(window.location.search).get(ASSIGNMENT_PARAM);
+        if (fromUrl) return fromUrl;
+        try {
+            const startParam = window.Eitaa && Eitaa.WebApp && Eitaa.WebApp.initDataUnsafe && Eitaa.WebApp.initDataUnsafe.start_param;
+            if (isAssignmentLink(startParam)) return startParam;
+        } catch (e) {}
+        return null;
+    }
+
+    // Opens the assignment's game straight from the link
+    async openAssignment(link) {
+        this.assignmentLink = null;
+        let assignment;
+        try {
+            assignment = parseAssignment(link, Object.values(GAME_TYPES));
+        } catch (e) {
+            if (!(e instanceof AssignmentError)) throw e;
+            this.showModal({ title: 'تکلیف باز نشد', desc: e.message, confirmText: 'باشه', cancelText: null });
+            return;
+        }
+        if (!(await this.checkGameContent(assignment.game))) return;
+        this.assignment = { ...assignment, done: 0 };
+        // Games without a word list read the range's start as the level to begin at
+        this.actualStart(assignment.game, GAME_LIBRARIES[assignment.game] ? 0 : Math.min(assignment.from, this.maxLevels - 1));
+    }
+
+    updateAssignmentUI() {
+        const a = this.assignment;
+        const box = document.getElementById('assignment-box');
+        box.classList.toggle('hidden', !a);
+        if (!a) return;
+        document.getElementById('assignment-progress').innerText = `${Math.min(a.done + 1, a.count)}/${a.count}`;
+    }
+
+    endAssignment() {
+        const a = this.assignment;
+        a.ended = true;
+        this.stopTimer();
+        this.typingActive = false;
+        document.getElementById('timer-box').classList.add('hidden');
+        const session = this.endSession();
+        const profile = this.currentProfile();
+        const name = profile.id === GUEST_PROFILE ? this.getEitaaName() || profile.name : profile.name;
+        const missed = [...new Set(session.missed.map(m => m.answer))];
+        const code = encodeResultCode(a, { name, score: this.score, correct: session.correct, answered: session.answered, missed, seconds: session.seconds() });
+        this.playSound('success');
+        if (session.accuracy >= 0.8) confetti({ particleCount: 150, spread: 90, origin: { y: 0.6 } });
+
+        document.getElementById('game-content').innerHTML = `
+            <div class="flex flex-col items-center w-full px-4 animate__animated animate__zoomIn">
+                <div class="text-6xl mb-4">📝</div>
+                <div class="text-2xl font-bold mb-6">تکلیف تمام شد!</div>
+                <div class="flex flex-col gap-4 w-full max-w-xs mb-6">${this.sessionSummaryHtml(session)}</div>
+                <div class="glass rounded-3xl p-4 w-full max-w-xs mb-6">
+                    <div class="text-sm mb-2">این کد را برای معلمت بفرست:</div>
+                    <textarea id="assignment-code" dir="ltr" rows="4" readonly class="w-full glass rounded-xl p-2 text-xs font-mono bg-transparent">${code}</textarea>
+                    <div id="assignment-code-status" class="text-xs mt-2 text-green-400"></div>
+                </div>
+                <div class="flex gap-3">
+                    <button onclick="window.app.copyAssignmentCode()" class="px-8 py-3 bg-blue-600 rounded-2xl font-bold btn-hover">کپی کد</button>
+                    <button onclick="window.app.showMenu()" class="px-8 py-3 glass rounded-2xl font-bold btn-hover">منو</button>
+                </div>
+            </div>
+        `;
+        this.updateAssignmentUI();
+    }
+
+    async copyAssignmentCode() {
+        this.playSound('click');
+        const box = document.getElementById('assignment-code');
+        const status = document.getElementById('assignment-code-status');
+        try {
+            await navigator.clipboard.writeText(box.value);
+            status.innerText = 'کد کپی شد.';
+        } catch (e) {
+            // Clipboard API is blocked in some webviews; leave the code selected instead
+            box.select();
+            status.innerText = 'کد را از کادر بالا کپی کنید.';
+        }
+    }
+
+    // Settings screen: the teacher pastes a student's result code to read it
+    checkResultCode() {
+        this.playSound('click');
+        const output = document.getElementById('result-code-output');
+        const code = document.getElementById('result-code-input').value.trim();
+        if (!code) {
+            output.innerHTML = '';
+            return;
+        }
+        let result;
+        try {
+            result = decodeResultCode(code, Object.values(GAME_TYPES));
+        } catch (e) {
+            if (!(e instanceof AssignmentError)) throw e;
+            output.innerHTML = `<div class="text-red-400">${e.message}</div>`;
+            return;
+        }
+        const a = result.assignment;
+        // Names and words come from the pasted code, so they are shown as text only
+        const row = (label, value) => `<div class="flex justify-between gap-3"><span class="opacity-70">${label}</span><span class="font-bold" dir="auto">${value}</span></div>`;
+        output.innerHTML = `
+            <div class="flex flex-col gap-1 text-sm">
+                <div class="text-green-400 mb-1">✔ کد معتبر است.</div>
+                ${row('دانش‌آموز', escapeHtml(result.name) || '-')}
+                ${row('تکلیف', `${this.getGameName(a.game)}${a.id ? ` (${escapeHtml(a.id)})` : ''}`)}
+                ${row('پاسخ درست', `${result.correct} از ${result.answered}`)}
+                ${row('دقت', `${Math.round(result.accuracy * 100)}%`)}
+                ${row('امتیاز', result.score)}
+                ${row('زمان', formatDuration(result.seconds))}
+                ${result.finishedAt ? row('پایان', escapeHtml(result.finishedAt.replace('T', ' '))) : ''}
+                ${result.missed.length ? `
+                    <div class="opacity-70 mt-2">اشتباه‌ها:</div>
+                    <div class="flex flex-wrap gap-2" dir="ltr">${result.missed.map(w => `<span class="glass px-3 py-1 rounded-full text-xs">${escapeHtml(w)}</span>`).join('')}</div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // --- PAUSE ---
+    isGameOpen() {
+        return !document.getElementById('game-screen').classList.contains('hidden');
+    }
+
+    resultsShown() {
+        return Boolean((this.timeAttack && this.timeAttack.ended) || (this.assignment && this.assignment.ended));
+    }
+
+    // Freezes the question timer, time attack, speech, animations and the wait
+    // before the next level until the learner resumes
+    pauseGame() {
+        if (this.paused || !this.isGameOpen() || this.resultsShown()) return;
+        this.paused = true;
+        this.pausedAt = Date.now();
+        this.timerWasRunning = this.timerInterval !== null;
+        this.stopTimer();
+        if (this.timeAttack) clearInterval(this.timeAttack.interval);
+        this.stopPlayClock();
+        this.delays.pause();
+        if (this.session) this.session.pause();
+        if (this.synth) this.synth.pause();
+        gsap.globalTimeline.pause();
+
+        const overlay = document.getElementById('pause-overlay');
+        overlay.classList.remove('hidden');
+        overlay.classList.add('flex');
+    }
+
+    resumeGame() {
+        if (!this.paused) return;
+        this.endPause();
+        this.playSound('click');
+        // Time spent paused doesn't count as answer time
+        if (this.questionShownAt) this.questionShownAt += Date.now() - this.pausedAt;
+        if (this.timerWasRunning) this.resumeTimer();
+        if (this.timeAttack) this.timeAttack.interval = setInterval(() => this.tickTimeAttack(), 1000);
+        this.startPlayClock();
+        if (this.session) this.session.resume();
+        this.delays.resume();
+    }
+
+    // Lifts the pause without restarting the clocks; showMenu stops them anyway
+    endPause() {
+        if (!this.paused) return;
+        this.paused = false;
+        gsap.globalTimeline.resume();
+        if (this.synth) this.synth.resume();
+        const overlay = document.getElementById('pause-overlay');
+        overlay.classList.add('hidden');
+        overlay.classList.remove('flex');
+    }
+
+    // --- LISTENING / DICTATION ---
+    // Words first; sentences show up more often as the level rises
+    async renderListenGame() {
+        const level = this.currentLevel;
+        const voice = await this.findVoice('en');
+        if (level !== this.currentLevel || this.currentGame !== GAME_TYPES.LISTEN) return;
+        if (!voice) {
+            document.getElementById('game-content').innerHTML = `
+                <div class="glass p-6 rounded-3xl max-w-sm text-center animate__animated animate__fadeIn" dir="rtl">
+                    <div class="text-5xl mb-4">🔇</div>
+                    <div class="font-bold mb-2">صدای انگلیسی روی این دستگاه پیدا نشد.</div>
+                    <div class="text-sm opacity-70 mb-6">برای بازی شنیداری، یک صدای انگلیسی (Text-to-Speech) در تنظیمات گوشی نصب کنید و دوباره وارد شوید.</div>
+                    <button onclick="window.app.showMenu()" class="glass px-6 py-3 rounded-xl font-bold">بازگشت به منو</button>
+                </div>
+            `;
+            return;
+        }
+
+        const sentences = this.getVocabData('sentences');
+        const sentenceEvery = level < 100 ? 5 : level < 300 ? 3 : 2;
+        const isSentence = sentences.length && level % sentenceEvery === sentenceEvery - 1;
+        let text, meaning, candidates;
+        if (isSentence) {
+            const data = sentences[Math.floor(level / sentenceEvery) % sentences.length];
+            text = joinWords(data.words);
+            meaning = data.fa;
+            candidates = sentences.map(s => ({ text: joinWords(s.words) }));
+        } else {
+            const words = this.getVocabData('words');
+            const data = this.pickWord(words);
+            text = data.en;
+            meaning = data.fa;
+            candidates = words.map(w => ({ text: w.en, pos: this.partOfSpeech.get(w) }));
+        }
+        this.listenText = text;
+
+        const controls = `
+            <div class="text-gray-400 text-sm mb-4" dir="rtl">${isSentence ? 'جمله‌ای که می‌شنوید' : 'کلمه‌ای که می‌شنوید'} را ${this.isTypingMode() ? 'بنویسید' : 'انتخاب کنید'}:</div>
+            <div class="flex gap-4 mb-8">
+                <button onclick="window.app.replayListen()" class="glass w-20 h-20 rounded-full text-4xl btn-hover">🔊</button>
+                <button onclick="window.app.replayListen(0.5)" class="glass w-20 h-20 rounded-full text-4xl btn-hover">🐢</button>
+            </div>
+        `;
+
+        if (this.isTypingMode()) {
+            this.setQuestion(`🔊 ${meaning}`, text);
+            this.renderTypingQuestion(controls);
+        } else {
+            // Spelling-alike options are the point of this game, so start half-way up the difficulty curve
+            const options = this.chooseOptions({ text, pos: null }, candidates, 3, level + 75);
+            this.setQuestion(`🔊 ${meaning}`, text, { options });
+            document.getElementById('game-content').innerHTML = `
+                <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
+                    ${controls}
+                    <div class="grid grid-cols-1 gap-3 w-full max-w-xs" dir="ltr">
+                        ${options.map(opt => `
+                            <button data-choice="${escapeHtml(opt)}" data-correct="${escapeHtml(text)}" class="glass py-4 rounded-2xl text-lg font-bold btn-hover">
+                                ${escapeHtml(opt)}
+                            </button>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }
+        this.replayListen();
+    }
+
+    replayListen(rate = 0.85) {
+        if (this.listenText) this.speak(this.listenText, 'en-US', null, rate);
+    }
+
     renderCategoryChoiceGame(category, icon, filter = '') {
         const library = this.getVocabData(category);
-        const data = library[this.currentLevel % library.length];
-        let options = [data.en];
-        while(options.length < 4) {
-            const opt = library[Math.floor(Math.random() * library.length)].en;
-            if(!options.includes(opt)) options.push(opt);
+        const data = this.pickWord(library);
+
+        if (this.isTypingMode()) {
+            this.setQuestion(`معنی "${data.fa}"`, data.en, { img: icon });
+            this.renderTypingQuestion(`
+                <div class="glass p-6 rounded-3xl mb-6">
+                    <img src="${icon}" class="w-24 h-24 object-contain" style="filter: ${filter}">
+                </div>
+                <div class="text-3xl font-bold mb-6 text-blue-300" dir="rtl">معنی "${data.fa}" را بنویسید:</div>
+            `);
+            return;
         }
-        this.shuffleArray(options);
+
+        const textOf = item => ({ text: item.en, pos: this.partOfSpeech.get(item) });
+        const options = this.chooseOptions(textOf(data), library.map(textOf));
+        this.setQuestion(`معنی "${data.fa}"`, data.en, { img: icon, options });
 
         const html = `
             <div class="flex flex-col items-center w-full px-4 animate__animated animate__fadeIn">
                 <div class="glass p-6 rounded-3xl mb-12">
                     <img src="${icon}" class="w-32 h-32 object-contain" style="filter: ${filter}">
                 </div>
-                <div class="text-3xl font-bold mb-8 text-blue-300" dir="rtl">معنی "${data.fa}":</div>
+                <div class="text-3xl font-bold mb-8 text-blue-300" dir="rtl">معنی "${escapeHtml(data.fa)}":</div>
                 <div class="grid grid-cols-2 gap-4 w-full max-w-xs" dir="ltr">
                     ${options.map(opt => `
-                        <button onclick="window.app.checkChoice('${opt}', '${data.en}')" class="glass py-4 rounded-2xl text-lg font-bold btn-hover">
-                            ${opt}
+                        <button data-choice="${escapeHtml(opt)}" data-correct="${escapeHtml(data.en)}" class="glass py-4 rounded-2xl text-lg font-bold btn-hover">
+                            ${escapeHtml(opt)}
                         </button>
                     `).join('')}
                 </div>
@@ -1186,19 +3400,125 @@ class App {
         document.getElementById('game-content').innerHTML = html;
     }
 
+    // --- FREE-TYPING MODE ---
+    isTypingMode() {
+        return TYPING_GAMES.includes(this.currentGame) && !!this.settings.typing[this.currentGame];
+    }
+
+    toggleTypingMode(type) {
+        this.playSound('click');
+        if (this.settings.typing[type]) {
+            delete this.settings.typing[type];
+        } else {
+            this.settings.typing[type] = true;
+        }
+        this.saveSettings();
+        this.updateMenuUI();
+    }
+
+    renderTypingQuestion(promptHtml) {
+        this.typedAnswer = '';
+        this.typingActive = true;
+        const rows = ['QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'];
+        const html = `
+            <div class="flex flex-col items-center w-full px-2 animate__animated animate__fadeIn">
+                ${promptHtml}
+                <div id="typed-answer" dir="ltr" class="w-full max-w-xs min-h-[56px] glass rounded-2xl flex items-center justify-center text-2xl font-bold tracking-wider mb-2 px-4"></div>
+                <div id="typing-note" class="text-sm text-yellow-300 min-h-[20px] mb-4 text-center" dir="rtl"></div>
+                <div class="flex flex-col gap-2 w-full max-w-md" dir="ltr">
+                    ${rows.map(row => `
+                        <div class="flex justify-center gap-1">
+                            ${row.split('').map(k => `<button onclick="window.app.typeKey('${k}')" class="w-8 h-11 glass rounded-lg font-bold btn-hover">${k}</button>`).join('')}
+                        </div>
+                    `).join('')}
+                    <div class="flex justify-center gap-1">
+                        <button onclick="window.app.typeBackspace()" class="w-14 h-11 glass rounded-lg font-bold btn-hover">⌫</button>
+                        <button onclick="window.app.typeKey(' ')" class="flex-grow max-w-[180px] h-11 glass rounded-lg text-xs btn-hover">space</button>
+                        <button onclick="window.app.checkTypedAnswer()" class="w-16 h-11 bg-blue-600 rounded-lg font-bold btn-hover">✓</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.getElementById('game-content').innerHTML = html;
+    }
+
+    typeKey(key) {
+        // Room for the expected answer plus a few slips
+        if (!this.typingActive || this.typedAnswer.length >= this.typingMaxLength()) return;
+        this.playSound('click');
+        this.typedAnswer += key;
+        document.getElementById('typed-answer').innerText = this.typedAnswer;
+    }
+
+    typingMaxLength() {
+        const answer = this.currentQuestion ? String(this.currentQuestion.answer) : '';
+        return Math.max(30, answer.length + 10);
+    }
+
+    typeBackspace() {
+        if (!this.typingActive || !this.typedAnswer) return;
+        this.playSound('click');
+        this.typedAnswer = this.typedAnswer.slice(0, -1);
+        document.getElementById('typed-answer').innerText = this.typedAnswer;
+    }
+
+    describeTypos(typos) {
+        return typos.map(t => {
+            switch (t.type) {
+                case 'sub': return `به جای «${t.expected}» نوشتید «${t.typed}»`;
+                case 'missing': return `حرف «${t.expected}» جا افتاده`;
+                case 'extra': return `حرف «${t.typed}» اضافه است`;
+                default: return `«${t.expected}» را جابه‌جا نوشتید`;
+            }
+        }).join('، ');
+    }
+
+    checkTypedAnswer() {
+        if (!this.typingActive || !this.typedAnswer.trim()) return;
+        this.typingActive = false;
+        this.stopTimer();
+        const answer = this.currentQuestion.answer;
+        const note = document.getElementById('typing-note');
+        const { result, typos } = gradeTypedAnswer(this.typedAnswer, answer);
+
+        if (result === 'exact') {
+            this.successAction(answer);
+        } else if (result === 'typo') {
+            // Small typo: the word counts, for half the points
+            note.innerText = `غلط املایی: ${this.describeTypos(typos)} (نیمی از امتیاز)`;
+            this.successAction(answer, 'en-US', 0.5);
+        } else {
+            this.failAction(answer, 'en-US', this.typedAnswer);
+            this.delays.add(() => this.renderLevel(), 2000);
+        }
+    }
+
+    // Answer plus plausible wrong options, harder as the level rises (see distractors.js)
+    chooseOptions(answer, candidates, count = 3, level = this.currentLevel) {
+        // Words the learner already picked instead of this answer
+        const confusions = new Map();
+        this.mistakeNotebook.entries.forEach(e => {
+            if (e.answer === answer.text && e.given) {
+                confusions.set(e.given, (confusions.get(e.given) || 0) + e.misses);
+            }
+        });
+        const foils = pickDistractors(answer, candidates, { count, level, confusions });
+        return this.shuffleArray([answer.text, ...foils]);
+    }
+
     checkChoice(selected, correct) {
         const buttons = document.querySelectorAll('#game-content button');
         let correctBtn;
         buttons.forEach(btn => {
-            if (btn.innerText == correct) correctBtn = btn;
+            if (btn.dataset.choice === correct) correctBtn = btn;
         });
 
         if (selected == correct) {
             this.successAction(correct.toString());
         } else {
             if (correctBtn) correctBtn.classList.add('bg-green-500/50', 'border-green-400');
-            this.failAction(correct.toString());
-            setTimeout(() => this.renderLevel(), 2000);
+            this.failAction(correct.toString(), 'en-US', selected);
+            this.delays.add(() => this.renderLevel(), 2000);
         }
     }
 
@@ -1218,36 +3538,134 @@ class App {
         } else {
             buttons[wrongIdx].classList.add('text-green-400', 'underline');
             this.failAction(correctWord);
-            setTimeout(() => this.renderLevel(), 2000);
+            this.delays.add(() => this.renderLevel(), 2000);
+        }
+    }
+
+    // --- SCORING, HEARTS AND XP (rules in scoring.js) ---
+    // Part of the question's time still left when answering, or null in untimed play
+    answerTimeShare() {
+        if (this.timeAttack) {
+            const ms = this.answerMs();
+            return ms === null ? null : 1 - ms / scoringRule(this.currentGame).fastMs;
         }
+        return this.timeLeft > 0 && this.questionTime > 0 ? this.timeLeft / this.questionTime : null;
+    }
+
+    addPoints(points) {
+        const before = rankFor(this.playerScore.xp).rank;
+        this.score += points;
+        this.playerScore.addXp(points);
+        this.savePlayerScore();
+        document.getElementById('score').innerText = this.score;
+        this.updateScoreUI();
+        const after = rankFor(this.playerScore.xp).rank;
+        if (after !== before) this.showAchievementUnlock(after, 1, 'رتبه جدید!');
+    }
+
+    // Time attack runs on its own clock and assignments are set by the teacher, so they never cost hearts
+    loseHearts() {
+        if (this.timeAttack || this.assignment) return;
+        const cost = scoringRule(this.currentGame).heartCost;
+        if (!cost) return;
+        this.playerScore.loseHearts(cost);
+        this.savePlayerScore();
+        this.updateScoreUI();
+        gsap.fromTo('#hearts-box', { scale: 1.4 }, { scale: 1, duration: 0.4, ease: 'back.out' });
+    }
+
+    outOfHearts(game) {
+        if (this.timeAttack || this.assignment || !scoringRule(game).heartCost) return false;
+        this.playerScore.refill();
+        return this.playerScore.hearts === 0;
+    }
+
+    nextHeartText() {
+        return `${Math.max(1, Math.ceil(this.playerScore.nextHeartIn() / 60000))} دقیقه`;
+    }
+
+    renderOutOfHearts() {
+        this.stopTimer();
+        this.typingActive = false;
+        document.getElementById('timer-box').classList.add('hidden');
+        document.getElementById('game-content').innerHTML = `
+            <div class="flex flex-col items-center w-full px-4 text-center animate__animated animate__zoomIn">
+                <div class="text-6xl mb-4">💔</div>
+                <div class="text-2xl font-bold mb-2">قلب‌هایت تمام شد!</div>
+                <div class="text-sm opacity-70 mb-8">قلب بعدی ${this.nextHeartText()} دیگر پر می‌شود.</div>
+                <button onclick="window.app.showMenu()" class="px-8 py-3 bg-blue-600 rounded-2xl font-bold btn-hover">منو</button>
+            </div>
+        `;
+    }
+
+    updateScoreUI() {
+        const player = this.playerScore;
+        player.refill();
+        const { rank, next, progress } = rankFor(player.xp);
+        document.getElementById('rank-icon').innerText = rank.icon;
+        document.getElementById('rank-title').innerText = rank.title;
+        document.getElementById('xp-total').innerText = next ? `${player.xp} / ${next.xp} XP` : `${player.xp} XP`;
+        document.getElementById('xp-bar').style.width = `${Math.round(progress * 100)}%`;
+        document.getElementById('hearts-menu').innerText = `❤️ ${player.hearts}/${MAX_HEARTS}`;
+        document.getElementById('hearts-regen').innerText = player.hearts < MAX_HEARTS ? `+۱ تا ${this.nextHeartText()}` : '';
+        document.getElementById('hearts').innerText = player.hearts;
+
+        const multiplier = this.currentGame ? comboMultiplier(scoringRule(this.currentGame), this.combo) : 1;
+        document.getElementById('combo').innerText = multiplier;
+        document.getElementById('combo-box').classList.toggle('hidden', multiplier <= 1);
     }
 
     // --- UTILS ---
     startTimer(seconds) {
+        this.questionTime = seconds;
         this.timeLeft = seconds;
-        const timerEl = document.getElementById('timer');
-        timerEl.innerText = this.timeLeft;
-        
+        document.getElementById('timer').innerText = this.timeLeft;
+        this.resumeTimer();
+    }
+
+    // Continues the question timer from where stopTimer left it
+    resumeTimer() {
         clearInterval(this.timerInterval);
+        if (!(this.timeLeft > 0)) return;
+        // A level rendered while paused starts its timer on resume
+        if (this.paused) {
+            this.timerWasRunning = true;
+            return;
+        }
+        const timerEl = document.getElementById('timer');
         this.timerInterval = setInterval(() => {
             this.timeLeft--;
             timerEl.innerText = this.timeLeft;
             if (this.timeLeft <= 0) {
                 this.stopTimer();
+                this.typingActive = false;
                 this.failAction();
-                setTimeout(() => this.renderLevel(), 1000);
+                this.delays.add(() => this.renderLevel(), 1000);
             }
         }, 1000);
     }
 
     stopTimer() {
         clearInterval(this.timerInterval);
+        this.timerInterval = null;
     }
 
-    successAction(answerText = "", lang = 'en-US') {
+    // `scale` shrinks the base points, e.g. 0.5 for an answer with a typo
+    successAction(answerText = "", lang = 'en-US', scale = 1) {
+        this.stopTimer();
+        const first = this.firstAnswer();
+        if (first) {
+            this.recordTimeAttackAnswer(true);
+            this.recordSessionAnswer(true);
+        }
+        this.recordAnswerEvent(true);
+        this.recordWordAnswer(true);
+        this.recordQuestionCorrect();
+        this.recordDailyCorrect();
+        this.combo++;
+        this.checkAnswerAchievements(true);
         this.playSound('success');
-        this.score += 10;
-        document.getElementById('score').innerText = this.score;
+        this.addPoints(answerPoints(scoringRule(this.currentGame), { combo: this.combo, timeShare: this.answerTimeShare(), scale }));
         this.showFeedback('✅', answerText);
         
         confetti({
@@ -1257,20 +3675,33 @@ class App {
         });
 
         this.currentLevel++;
+
+        if (this.currentGame === REVIEW_GAME) {
+            if (answerText) this.speak(answerText, lang);
+            this.delays.add(() => this.renderLevel(), 2000);
+            return;
+        }
         
-        if (!this.progress[this.currentGame]) {
-            this.progress[this.currentGame] = { level: 0, medals: 0, completed: false };
+        // An assignment leaves the game's own progress alone
+        if (!this.assignment) {
+            if (!this.progress[this.currentGame]) {
+                this.progress[this.currentGame] = { level: 0, medals: 0, completed: false };
+            }
+            this.progress[this.currentGame].level = this.currentLevel;
         }
-        this.progress[this.currentGame].level = this.currentLevel;
 
         const nextLevel = () => {
-            if (this.currentLevel >= this.maxLevels) {
+            if (this.assignment) {
+                this.renderLevel();
+            } else if (this.currentLevel >= this.maxLevels) {
                 this.progress[this.currentGame].medals = (this.progress[this.currentGame].medals || 0) + 1;
                 this.progress[this.currentGame].completed = true;
                 this.progress[this.currentGame].level = 0;
                 this.saveProgress();
                 this.updateMenuUI();
-                setTimeout(() => this.showMenu(), 1000);
+                const medals = Object.values(this.progress).reduce((sum, p) => sum + (p.medals || 0), 0);
+                this.checkAchievements('medal', { medals });
+                this.delays.add(() => this.showMenu(), 1000);
             } else {
                 this.saveProgress();
                 this.updateMenuUI();
@@ -1280,16 +3711,34 @@ class App {
 
         const isLongSequence = (this.currentGame === GAME_TYPES.DAYS || this.currentGame === GAME_TYPES.MONTHS);
 
-        if (answerText && isLongSequence) {
+        if (this.timeAttack) {
+            // Every second counts in time attack: no speech, short pause
+            this.delays.add(nextLevel, 800);
+        } else if (answerText && isLongSequence) {
             // No speaking for days/months as requested
-            setTimeout(nextLevel, 1500);
+            this.delays.add(nextLevel, 1500);
         } else {
             if (answerText) this.speak(answerText, lang);
-            setTimeout(nextLevel, 2000);
+            this.delays.add(nextLevel, 2000);
         }
     }
 
-    failAction(correctAnswer = "", lang = 'en-US') {
+    failAction(correctAnswer = "", lang = 'en-US', given = null) {
+        this.stopTimer();
+        const first = this.firstAnswer();
+        if (first) {
+            this.recordTimeAttackAnswer(false);
+            this.recordSessionAnswer(false);
+        }
+        this.recordAnswerEvent(false);
+        this.recordWordAnswer(false);
+        // Saves the play time so far (correct answers do it in recordDailyCorrect)
+        this.saveDaily();
+        this.logMistake(given);
+        this.combo = 0;
+        this.checkAnswerAchievements(false);
+        // A question costs hearts once, however many wrong taps it takes
+        if (first) this.loseHearts();
         this.playSound('fail');
         this.showFeedback('❌', correctAnswer);
         const isLongSequence = (this.currentGame === GAME_TYPES.DAYS || this.currentGame === GAME_TYPES.MONTHS);
@@ -0,0 +1,81 @@
+// Mistakes notebook: every wrong answer with its question, so it can be reviewed later.
+// An entry leaves the notebook after REVIEW_STREAK_TO_CLEAR correct answers in a row.
+
+export const MISTAKES_KEY = 'learnita_v3_mistakes';
+export const REVIEW_STREAK_TO_CLEAR = 3;
+
+const MAX_ENTRIES = 200;
+
+function isText(v) {
+    return typeof v === 'string';
+}
+
+export class MistakeNotebook {
+    constructor(data = {}) {
+        // [{ id, game, prompt, answer, given, options, img, color, lang, misses, streak, lastSeen }]
+        const entries = (data && Array.isArray(data.entries)) ? data.entries : [];
+        this.entries = entries.filter(e => e && isText(e.id) && isText(e.game) && isText(e.prompt) && isText(e.answer));
+    }
+
+    static idOf(game, prompt, answer) {
+        return `${game}|${prompt}|${answer}`;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    find(id) {
+        return this.entries.find(e => e.id === id) || null;
+    }
+
+    // Logs a wrong answer; the same question is kept once and its streak resets
+    add({ game, prompt, answer, given = '', options = [], img = null, color = null, lang = 'en-US' }, now = Date.now()) {
+        const id = MistakeNotebook.idOf(game, prompt, answer);
+        let entry = this.find(id);
+        if (entry) {
+            this.entries = this.entries.filter(e => e !== entry);
+        } else {
+            entry = { id, game, prompt, answer, options: [], img, color, lang, misses: 0 };
+        }
+        entry.given = given;
+        entry.options = [...new Set([...entry.options, ...options.map(String)])].slice(0, 8);
+        entry.misses++;
+        entry.streak = 0;
+        entry.lastSeen = now;
+        this.entries.unshift(entry);
+        this.entries = this.entries.slice(0, MAX_ENTRIES);
+        return entry;
+    }
+
+    // Returns true when the entry was answered often enough to leave the notebook
+    recordAnswer(id, isCorrect, now = Date.now()) {
+        const entry = this.find(id);
+        if (!entry) return false;
+        entry.lastSeen = now;
+        entry.streak = isCorrect ? entry.streak + 1 : 0;
+        if (entry.streak >= REVIEW_STREAK_TO_CLEAR) {
+            this.remove(id);
+            return true;
+        }
+        return false;
+    }
+
+    remove(id) {
+        this.entries = this.entries.filter(e => e.id !== id);
+    }
+
+    // Least recently seen first, so every entry comes up before any repeats.
+    // `ids` limits the review to some entries (e.g. one session's mistakes).
+    pickForReview(excludeId = null, ids = null) {
+        const entries = ids ? this.entries.filter(e => ids.includes(e.id)) : this.entries;
+        const pool = entries.filter(e => e.id !== excludeId);
+        const candidates = pool.length ? pool : entries;
+        if (!candidates.length) return null;
+        return [...candidates].sort((a, b) => a.lastSeen - b.lastSeen)[0];
+    }
+
+    toJSON() {
+        return { entries: this.entries };
+    }
+}
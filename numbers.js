@@ -0,0 +1,79 @@
+// English number words: cardinals, ordinals, years, decimals and negatives.
+// Words are upper case, matching how the number games display them.
+
+const ONES = ["ZERO", "ONE", "TWO", "THREE", "FOUR", "FIVE", "SIX", "SEVEN", "EIGHT", "NINE", "TEN", "ELEVEN", "TWELVE", "THIRTEEN", "FOURTEEN", "FIFTEEN", "SIXTEEN", "SEVENTEEN", "EIGHTEEN", "NINETEEN"];
+const TENS = ["", "", "TWENTY", "THIRTY", "FORTY", "FIFTY", "SIXTY", "SEVENTY", "EIGHTY", "NINETY"];
+const SCALES = ["", "THOUSAND", "MILLION", "BILLION"];
+
+const IRREGULAR_ORDINALS = { ONE: 'FIRST', TWO: 'SECOND', THREE: 'THIRD', FIVE: 'FIFTH', EIGHT: 'EIGHTH', NINE: 'NINTH', TWELVE: 'TWELFTH' };
+
+// 0-99, hyphenated: "TWENTY-ONE"
+function underHundred(n) {
+    if (n < 20) return ONES[n];
+    return TENS[Math.floor(n / 10)] + (n % 10 !== 0 ? "-" + ONES[n % 10] : "");
+}
+
+// 0-999; British style puts "AND" after the hundreds: "ONE HUNDRED AND FIVE"
+function underThousand(n, british) {
+    if (n < 100) return underHundred(n);
+    const rest = n % 100;
+    return ONES[Math.floor(n / 100)] + " HUNDRED" + (rest !== 0 ? (british ? " AND " : " ") + underHundred(rest) : "");
+}
+
+function integerToWords(n, british) {
+    if (n < 1000) return underThousand(n, british);
+    const groups = [];
+    for (let rest = n; rest > 0; rest = Math.floor(rest / 1000)) groups.push(rest % 1000);
+    if (groups.length > SCALES.length) return n.toString();
+
+    const parts = [];
+    for (let i = groups.length - 1; i >= 0; i--) {
+        if (groups[i] === 0) continue;
+        // "ONE THOUSAND AND FIVE": the British "AND" also joins a last group below 100
+        if (i === 0 && british && groups[0] < 100) parts.push("AND");
+        parts.push(underThousand(groups[i], british) + (SCALES[i] ? " " + SCALES[i] : ""));
+    }
+    return parts.join(" ");
+}
+
+// numberToWords(21) -> "TWENTY-ONE", numberToWords(-3.25) -> "MINUS THREE POINT TWO FIVE"
+export function numberToWords(n, { british = false } = {}) {
+    if (!Number.isFinite(n)) return String(n);
+    if (n < 0) return "MINUS " + numberToWords(-n, { british });
+
+    const [whole, fraction] = String(n).split('.');
+    let words = integerToWords(Number(whole), british);
+    if (fraction) {
+        words += " POINT " + fraction.split('').map(d => ONES[Number(d)]).join(" ");
+    }
+    return words;
+}
+
+// ordinalToWords(21) -> "TWENTY-FIRST"
+export function ordinalToWords(n, options = {}) {
+    const words = numberToWords(n, options);
+    const cut = Math.max(words.lastIndexOf(' '), words.lastIndexOf('-')) + 1;
+    const head = words.slice(0, cut);
+    const last = words.slice(cut);
+    if (IRREGULAR_ORDINALS[last]) return head + IRREGULAR_ORDINALS[last];
+    if (last.endsWith('Y')) return head + last.slice(0, -1) + 'IETH';
+    return head + last + 'TH';
+}
+
+// ordinalSuffix(21) -> "21st", ordinalSuffix(12) -> "12th"
+export function ordinalSuffix(n) {
+    const lastTwo = n % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) return `${n}th`;
+    return n + (['th', 'st', 'nd', 'rd'][n % 10] || 'th');
+}
+
+// yearToWords(1984) -> "NINETEEN EIGHTY-FOUR", 2005 -> "TWO THOUSAND FIVE",
+// 1905 -> "NINETEEN OH FIVE", 1900 -> "NINETEEN HUNDRED", 2024 -> "TWENTY TWENTY-FOUR"
+export function yearToWords(year) {
+    if (year < 1000 || year % 1000 < 10) return numberToWords(year);
+    const century = Math.floor(year / 100);
+    const rest = year % 100;
+    if (rest === 0) return underHundred(century) + " HUNDRED";
+    if (rest < 10) return underHundred(century) + " OH " + ONES[rest];
+    return underHundred(century) + " " + underHundred(rest);
+}
@@ -0,0 +1,47 @@
+// Timeouts that can be paused and resumed, for game transitions such as the
+// wait between an answer and the next level.
+
+export class Delays {
+    constructor() {
+        this.pending = new Set();
+        this.paused = false;
+    }
+
+    add(fn, ms) {
+        const delay = { fn, remaining: ms, started: 0, id: null };
+        this.pending.add(delay);
+        if (!this.paused) this.start(delay);
+        return delay;
+    }
+
+    start(delay) {
+        delay.started = Date.now();
+        delay.id = setTimeout(() => {
+            this.pending.delete(delay);
+            delay.fn();
+        }, delay.remaining);
+    }
+
+    // Stops every pending delay and keeps the time it still had to wait
+    pause(now = Date.now()) {
+        if (this.paused) return;
+        this.paused = true;
+        this.pending.forEach(delay => {
+            clearTimeout(delay.id);
+            delay.remaining = Math.max(0, delay.remaining - (now - delay.started));
+        });
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.pending.forEach(delay => this.start(delay));
+    }
+
+    // Drops everything still waiting, e.g. when the learner leaves the game
+    clear() {
+        this.pending.forEach(delay => clearTimeout(delay.id));
+        this.pending.clear();
+        this.paused = false;
+    }
+}
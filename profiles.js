@@ -0,0 +1,127 @@
+// Learner profiles on one device. Every profile has its own copy of the
+// learner keys (progress, settings, stats, ...) saved as `<key>:<profile id>`.
+// The default profile keeps the plain keys: data saved before profiles existed
+// becomes the default profile's, and it stays the one synced with the Eitaa
+// account. Guests play without a saved profile.
+
+export const PROFILES_KEY = 'learnita_v3_profiles';
+export const DEFAULT_PROFILE = 'default';
+export const GUEST_PROFILE = 'guest';
+export const MAX_PROFILES = 8;
+
+// Bundled images a profile can use as its avatar
+export const AVATARS = [
+    'game_animal.png', 'game_family.png', 'game_job.png', 'game_color.png', 'game_guess.png',
+    'game_places.png', 'game_clothes.png', 'game_objects.png', 'game_calendar.png', 'apple.png'
+];
+
+const MAX_NAME_LENGTH = 20;
+
+// Names end up in the page markup, so characters that could break it are dropped
+export function cleanProfileName(name) {
+    return String(name || '').replace(/[<>&"'`]/g, '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+function avatarOf(avatar) {
+    return AVATARS.includes(avatar) ? avatar : AVATARS[0];
+}
+
+export class ProfileList {
+    constructor(data = {}, defaultName = 'من') {
+        const d = data || {};
+        const saved = Array.isArray(d.profiles) ? d.profiles : [];
+        // [{ id, name, avatar }]
+        this.profiles = [];
+        saved.forEach(p => {
+            if (!p || typeof p.id !== 'string' || p.id === GUEST_PROFILE || this.get(p.id)) return;
+            this.profiles.push({ id: p.id, name: cleanProfileName(p.name) || defaultName, avatar: avatarOf(p.avatar) });
+        });
+        // First run with profiles: the existing learner becomes the default profile
+        if (!this.get(DEFAULT_PROFILE)) {
+            this.profiles.unshift({ id: DEFAULT_PROFILE, name: cleanProfileName(defaultName) || 'من', avatar: AVATARS[0] });
+        }
+        this.active = this.get(d.active) ? d.active : DEFAULT_PROFILE;
+    }
+
+    get(id) {
+        return this.profiles.find(p => p.id === id) || null;
+    }
+
+    get isFull() {
+        return this.profiles.length >= MAX_PROFILES;
+    }
+
+    // Returns the new profile, or null when the name is empty or the list is full
+    add(name, avatar, now = Date.now()) {
+        const clean = cleanProfileName(name);
+        if (!clean || this.isFull) return null;
+        let id = `p${now.toString(36)}`;
+        while (this.get(id)) id += '0';
+        const profile = { id, name: clean, avatar: avatarOf(avatar) };
+        this.profiles.push(profile);
+        return profile;
+    }
+
+    update(id, { name, avatar }) {
+        const profile = this.get(id);
+        const clean = cleanProfileName(name);
+        if (!profile || !clean) return null;
+        profile.name = clean;
+        profile.avatar = avatarOf(avatar);
+        return profile;
+    }
+
+    // The default profile can't be removed
+    remove(id) {
+        if (id === DEFAULT_PROFILE || !this.get(id)) return false;
+        this.profiles = this.profiles.filter(p => p.id !== id);
+        if (this.active === id) this.active = DEFAULT_PROFILE;
+        return true;
+    }
+
+    setActive(id) {
+        if (this.get(id)) this.active = id;
+    }
+
+    toJSON() {
+        return { active: this.active, profiles: this.profiles };
+    }
+}
+
+// Storage for one profile other than the default: keys get the profile id
+// appended. It never syncs; sync() and flush() let the app treat it like a
+// SyncedStore.
+export class ProfileStorage {
+    constructor(base, profileId) {
+        this.base = base;
+        this.profileId = profileId;
+        this.remote = null;
+    }
+
+    keyOf(key) {
+        return `${key}:${this.profileId}`;
+    }
+
+    getItem(key) {
+        return this.base.getItem(this.keyOf(key));
+    }
+
+    setItem(key, value) {
+        this.base.setItem(this.keyOf(key), value);
+    }
+
+    removeItem(key) {
+        this.base.removeItem(this.keyOf(key));
+    }
+
+    // Deletes the profile's copy of `keys`
+    clear(keys) {
+        keys.forEach(key => this.removeItem(key));
+    }
+
+    async sync() {
+        return [];
+    }
+
+    async flush() {}
+}
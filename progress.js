@@ -0,0 +1,129 @@
+// Versioned progress format and the migrations that upgrade older saves.
+//
+// v1: bare map saved by the first releases: { gameType: { level, medals, completed } }
+//     (some very old saves stored just the level number per game)
+// v2: { version: 2, games: { gameType: { level, medals, completed } } }
+
+export const PROGRESS_KEY = 'learnita_v3_progress';
+export const PROGRESS_BACKUP_KEY = 'learnita_v3_progress_backup';
+export const PROGRESS_VERSION = 2;
+
+// Keys used by earlier versions of the app, newest first
+const LEGACY_KEYS = ['learnita_v2_progress', 'learnita_progress'];
+
+// MIGRATIONS[n] upgrades a version n save to version n + 1
+const MIGRATIONS = {
+    1: data => ({ version: 2, games: data })
+};
+
+// A save written by a newer version of the app. It can't be read here and must not be overwritten.
+export class NewerProgressError extends Error {
+    constructor(version) {
+        super(`Progress version ${version} is newer than this app (${PROGRESS_VERSION})`);
+        this.name = 'NewerProgressError';
+        this.version = version;
+    }
+}
+
+export function defaultGameProgress() {
+    return { level: 0, medals: 0, completed: false };
+}
+
+function isCount(n) {
+    return Number.isInteger(n) && n >= 0;
+}
+
+// Returns a clean entry, or null when the entry can't be trusted
+function normalizeGameEntry(entry) {
+    if (isCount(entry)) return { level: entry, medals: 0, completed: false };
+    if (!entry || typeof entry !== 'object') return null;
+
+    const level = entry.level === undefined ? 0 : Number(entry.level);
+    const medals = entry.medals === undefined ? 0 : Number(entry.medals);
+    if (!isCount(level) || !isCount(medals)) return null;
+    return { level, medals, completed: entry.completed === true };
+}
+
+// Upgrades any known save shape to the current version and repairs it:
+// unknown or corrupt games are dropped and missing games are filled in.
+export function migrateProgress(data, gameTypes) {
+    let version = (data && Number.isInteger(data.version)) ? data.version : 1;
+    if (version > PROGRESS_VERSION) {
+        throw new NewerProgressError(version);
+    }
+    while (version < PROGRESS_VERSION) {
+        data = MIGRATIONS[version](data);
+        version = data.version;
+    }
+
+    const games = {};
+    const savedGames = (data.games && typeof data.games === 'object') ? data.games : {};
+    gameTypes.forEach(type => {
+        const entry = normalizeGameEntry(savedGames[type]);
+        if (!entry && savedGames[type] !== undefined) {
+            console.warn(`Dropped corrupt progress for "${type}"`, savedGames[type]);
+        }
+        games[type] = entry || defaultGameProgress();
+    });
+    return games;
+}
+
+export function emptyProgress(gameTypes) {
+    return migrateProgress({ version: PROGRESS_VERSION, games: {} }, gameTypes);
+}
+
+export function serializeProgress(games) {
+    return JSON.stringify({ version: PROGRESS_VERSION, games });
+}
+
+// Combines two devices' saves game by game, keeping whichever got further
+export function mergeProgressSaves(localRaw, remoteRaw, gameTypes) {
+    const local = migrateProgress(JSON.parse(localRaw), gameTypes);
+    const remote = migrateProgress(JSON.parse(remoteRaw), gameTypes);
+    const rank = p => [p.medals, p.completed ? 1 : 0, p.level];
+    const games = {};
+    gameTypes.forEach(type => {
+        const a = rank(local[type]);
+        const b = rank(remote[type]);
+        const diff = a.map((v, i) => v - b[i]).find(d => d !== 0) || 0;
+        games[type] = diff >= 0 ? local[type] : remote[type];
+    });
+    return serializeProgress(games);
+}
+
+// Reads progress from a Storage-like object (getItem/setItem), migrating old
+// saves in place. The raw pre-migration blob is kept under PROGRESS_BACKUP_KEY
+// whenever the key or the save version changes.
+// A save from a newer app version throws NewerProgressError and is left untouched.
+export function loadProgressFrom(storage, gameTypes) {
+    let key = PROGRESS_KEY;
+    let raw = storage.getItem(PROGRESS_KEY);
+    if (raw === null) {
+        key = LEGACY_KEYS.find(k => storage.getItem(k) !== null) || null;
+        raw = key ? storage.getItem(key) : null;
+    }
+    if (raw === null) return emptyProgress(gameTypes);
+
+    let data, games;
+    try {
+        data = JSON.parse(raw);
+        games = migrateProgress(data, gameTypes);
+    } catch (e) {
+        if (e instanceof NewerProgressError) throw e;
+        console.error("Failed to migrate progress, starting fresh", e);
+        storage.setItem(PROGRESS_BACKUP_KEY, raw);
+        return emptyProgress(gameTypes);
+    }
+
+    // Only a move to the current key or a version upgrade replaces the backup;
+    // repairs within the same version are just saved
+    const version = (data && Number.isInteger(data.version)) ? data.version : 1;
+    if (key !== PROGRESS_KEY || version !== PROGRESS_VERSION) {
+        storage.setItem(PROGRESS_BACKUP_KEY, raw);
+    }
+    const upgraded = serializeProgress(games);
+    if (key !== PROGRESS_KEY || upgraded !== raw) {
+        storage.setItem(PROGRESS_KEY, upgraded);
+    }
+    return games;
+}
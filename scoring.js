@@ -0,0 +1,120 @@
+// Scoring: points per answer (combo multiplier and speed bonus), hearts that
+// wrong answers cost and that refill over time, and lifetime XP with ranks.
+// Tune a game by overriding any DEFAULT_SCORING field in SCORING_RULES.
+
+export const SCORE_KEY = 'learnita_v3_score';
+
+export const MAX_HEARTS = 5;
+export const HEART_REGEN_MS = 10 * 60 * 1000;
+
+export const DEFAULT_SCORING = {
+    // Points for a correct answer before bonuses
+    base: 10,
+    // Every `comboStep` correct answers in a row add `comboBonus` to the multiplier, up to `maxMultiplier`
+    comboStep: 5,
+    comboBonus: 0.5,
+    maxMultiplier: 3,
+    // Up to this many extra points for answering fast in a timed game
+    speedBonus: 5,
+    // Time attack has no time per question; answers faster than this earn a speed bonus there
+    fastMs: 5000,
+    // Hearts a wrong answer costs
+    heartCost: 1
+};
+
+// Per-game overrides, keyed by game type
+export const SCORING_RULES = {
+    sentence: { base: 15 },
+    grammar: { base: 15 },
+    hangman: { base: 20, speedBonus: 10 },
+    guess: { base: 15 },
+    time: { base: 15 },
+    dates: { base: 15 },
+    // Days and months are long sequences; mistakes there are part of learning the order
+    days: { heartCost: 0 },
+    months: { heartCost: 0 },
+    // Reviewing mistakes is the way back when hearts run low
+    review: { heartCost: 0 }
+};
+
+export const RANKS = [
+    { xp: 0, icon: '🌱', title: 'تازه‌کار' },
+    { xp: 300, icon: '📘', title: 'نوآموز' },
+    { xp: 1000, icon: '✏️', title: 'کوشا' },
+    { xp: 3000, icon: '🚀', title: 'پیشرفته' },
+    { xp: 7500, icon: '🧠', title: 'ماهر' },
+    { xp: 15000, icon: '👑', title: 'استاد' },
+    { xp: 30000, icon: '🌟', title: 'افسانه' }
+];
+
+export function scoringRule(game) {
+    return { ...DEFAULT_SCORING, ...(SCORING_RULES[game] || {}) };
+}
+
+export function comboMultiplier(rule, combo) {
+    return Math.min(rule.maxMultiplier, 1 + Math.floor(combo / rule.comboStep) * rule.comboBonus);
+}
+
+// `timeShare` is the part of the question's time still left (0-1), or null in untimed play
+export function answerPoints(rule, { combo = 0, timeShare = null, scale = 1 } = {}) {
+    const speed = timeShare === null ? 0 : Math.round(rule.speedBonus * Math.max(0, Math.min(1, timeShare)));
+    return Math.round((rule.base * scale + speed) * comboMultiplier(rule, combo));
+}
+
+// { rank, next, progress } where progress (0-1) is the way to the next rank
+export function rankFor(xp) {
+    let i = 0;
+    while (i < RANKS.length - 1 && xp >= RANKS[i + 1].xp) i++;
+    const rank = RANKS[i];
+    const next = RANKS[i + 1] || null;
+    return { rank, next, progress: next ? (xp - rank.xp) / (next.xp - rank.xp) : 1 };
+}
+
+function count(n) {
+    return Number.isInteger(n) && n >= 0 ? n : 0;
+}
+
+export class PlayerScore {
+    constructor(data = {}, now = Date.now()) {
+        const d = data || {};
+        this.xp = count(d.xp);
+        this.hearts = Number.isInteger(d.hearts) ? Math.max(0, Math.min(MAX_HEARTS, d.hearts)) : MAX_HEARTS;
+        // When the regen clock last ran; the next heart comes HEART_REGEN_MS after it
+        this.heartsAt = Number.isFinite(d.heartsAt) && d.heartsAt <= now ? d.heartsAt : now;
+        this.refill(now);
+    }
+
+    addXp(points) {
+        this.xp += Math.max(0, points);
+    }
+
+    // Adds the hearts earned since `heartsAt`
+    refill(now = Date.now()) {
+        if (this.hearts >= MAX_HEARTS) {
+            this.heartsAt = now;
+            return;
+        }
+        const gained = Math.floor((now - this.heartsAt) / HEART_REGEN_MS);
+        if (gained <= 0) return;
+        this.hearts = Math.min(MAX_HEARTS, this.hearts + gained);
+        this.heartsAt = this.hearts >= MAX_HEARTS ? now : this.heartsAt + gained * HEART_REGEN_MS;
+    }
+
+    loseHearts(cost, now = Date.now()) {
+        if (cost <= 0) return;
+        this.refill(now);
+        // A full row starts its regen clock with the first heart lost
+        if (this.hearts >= MAX_HEARTS) this.heartsAt = now;
+        this.hearts = Math.max(0, this.hearts - cost);
+    }
+
+    // Milliseconds until the next heart, or 0 when hearts are full
+    nextHeartIn(now = Date.now()) {
+        this.refill(now);
+        return this.hearts >= MAX_HEARTS ? 0 : Math.max(0, this.heartsAt + HEART_REGEN_MS - now);
+    }
+
+    toJSON() {
+        return { xp: this.xp, hearts: this.hearts, heartsAt: this.heartsAt };
+    }
+}
@@ -0,0 +1,46 @@
+// Sentence builder: chips, accepted word orders and hints.
+// Chips are tracked by id, so a sentence may use the same word more than once.
+
+const MARKS = ['.', '?', '!', ','];
+
+export function isMark(token) {
+    return MARKS.includes(token);
+}
+
+// The order in `words` plus any alternatives the pack lists
+export function acceptedOrders(sentence) {
+    return [sentence.words, ...(sentence.alternatives || [])];
+}
+
+// Extra chips that don't belong in the sentence: the first word in the wrong case,
+// a wrong closing mark, then the pack's own distractors
+export function extraChips(sentence) {
+    const extras = [];
+    const first = sentence.words[0];
+    if (first !== 'I' && first !== first.toLowerCase()) extras.push(first.toLowerCase());
+    const last = sentence.words[sentence.words.length - 1];
+    if (isMark(last)) extras.push(last === '?' ? '.' : '?');
+    return [...extras, ...(sentence.distractors || [])];
+}
+
+// [{ id, text }] for the sentence's words plus `extraCount` extra chips
+export function buildChips(sentence, extraCount) {
+    const texts = [...sentence.words, ...extraChips(sentence).slice(0, extraCount)];
+    return texts.map((text, id) => ({ id, text }));
+}
+
+export function matchesOrder(words, orders) {
+    return orders.some(order => order.length === words.length && order.every((w, i) => w === words[i]));
+}
+
+// How many of the placed words can stay (the longest prefix of any accepted
+// order) and the word that comes next in that order
+export function nextHint(words, orders) {
+    let best = { keep: 0, word: orders[0][0] };
+    orders.forEach(order => {
+        let keep = 0;
+        while (keep < words.length && keep < order.length && words[keep] === order[keep]) keep++;
+        if (keep > best.keep && keep < order.length) best = { keep, word: order[keep] };
+    });
+    return best;
+}
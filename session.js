@@ -0,0 +1,72 @@
+// One play session, from opening a game until leaving it or the end of a
+// time-attack run. Feeds the summary shown afterwards.
+
+export class GameSession {
+    constructor(game, level, now = Date.now()) {
+        this.game = game;
+        this.startLevel = level;
+        this.endLevel = level;
+        this.startedAt = now;
+        this.endedAt = null;
+        this.pausedMs = 0;
+        this.pausedAt = null;
+        this.answered = 0;
+        this.correct = 0;
+        // English words answered for the first time ever
+        this.newWords = [];
+        // [{ id, prompt, answer, lang }], once per question (ids match the mistakes notebook)
+        this.missed = [];
+    }
+
+    record(isCorrect) {
+        this.answered++;
+        if (isCorrect) this.correct++;
+    }
+
+    meetWord(word) {
+        if (!this.newWords.includes(word)) this.newWords.push(word);
+    }
+
+    miss({ id, prompt, answer, lang = 'en-US' }) {
+        if (this.missed.some(m => m.id === id)) return;
+        this.missed.push({ id, prompt, answer, lang });
+    }
+
+    pause(now = Date.now()) {
+        if (this.pausedAt === null) this.pausedAt = now;
+    }
+
+    resume(now = Date.now()) {
+        if (this.pausedAt === null) return;
+        this.pausedMs += now - this.pausedAt;
+        this.pausedAt = null;
+    }
+
+    finish(level, now = Date.now()) {
+        this.resume(now);
+        this.endLevel = level;
+        this.endedAt = now;
+    }
+
+    get accuracy() {
+        return this.answered ? this.correct / this.answered : 0;
+    }
+
+    get levelsGained() {
+        return Math.max(0, this.endLevel - this.startLevel);
+    }
+
+    // Time actually played, without pauses
+    seconds(now = Date.now()) {
+        const end = this.endedAt === null ? now : this.endedAt;
+        const paused = this.pausedMs + (this.pausedAt === null ? 0 : end - this.pausedAt);
+        return Math.max(0, Math.round((end - this.startedAt - paused) / 1000));
+    }
+}
+
+export function formatDuration(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = seconds % 60;
+    if (!m) return `${s} ثانیه`;
+    return s ? `${m} دقیقه و ${s} ثانیه` : `${m} دقیقه`;
+}
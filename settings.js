@@ -0,0 +1,26 @@
+// Learner preferences, kept separate from progress so they can be synced and backed up on their own.
+
+export const SETTINGS_KEY = 'learnita_v3_settings';
+
+export function normalizeSettings(data) {
+    const d = (data && typeof data === 'object') ? data : {};
+    // { gameType: true } for games played in free-typing mode
+    const typing = {};
+    if (d.typing && typeof d.typing === 'object') {
+        Object.keys(d.typing).forEach(game => {
+            if (d.typing[game] === true) typing[game] = true;
+        });
+    }
+    // { gameType: true } for games with a per-question timer; translate has one by default
+    const timers = {};
+    if (d.timers && typeof d.timers === 'object') {
+        Object.keys(d.timers).forEach(game => {
+            if (d.timers[game] === true) timers[game] = true;
+        });
+    } else {
+        timers.translate = true;
+    }
+    // Hangman word source: 'all', 'hangman' or a category name
+    const hangmanCategory = typeof d.hangmanCategory === 'string' && d.hangmanCategory ? d.hangmanCategory : 'all';
+    return { typing, timers, hangmanCategory };
+}
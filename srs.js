@@ -0,0 +1,100 @@
+// Leitner-style spaced repetition for vocabulary words.
+// Every word sits in a box: a correct answer moves it one box up, a wrong
+// answer drops it back to the first box. Each box has its own review delay.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const BOX_INTERVALS = [0.5 * MINUTE, 10 * MINUTE, DAY, 3 * DAY, 7 * DAY, 21 * DAY];
+export const MASTERED_BOX = BOX_INTERVALS.length - 1;
+
+export class SpacedRepetition {
+    constructor(data = {}) {
+        // { word: { box, due, seen, correct, wrong, last } }
+        this.items = {};
+        const items = (data && typeof data.items === 'object' && data.items) || {};
+        Object.keys(items).forEach(key => {
+            const rec = items[key];
+            const fields = ['box', 'due', 'seen', 'correct', 'wrong', 'last'];
+            if (rec && fields.every(f => Number.isFinite(rec[f])) && rec.box >= 0 && rec.box <= MASTERED_BOX) {
+                this.items[key] = rec;
+            }
+        });
+    }
+
+    static key(word) {
+        return String(word).trim().toLowerCase();
+    }
+
+    getRecord(word) {
+        return this.items[SpacedRepetition.key(word)] || null;
+    }
+
+    record(word, isCorrect, now = Date.now()) {
+        const key = SpacedRepetition.key(word);
+        const rec = this.items[key] || { box: 0, due: now, seen: 0, correct: 0, wrong: 0, last: 0 };
+
+        rec.seen++;
+        if (isCorrect) {
+            rec.correct++;
+            rec.box = Math.min(MASTERED_BOX, rec.box + 1);
+        } else {
+            rec.wrong++;
+            rec.box = 0;
+        }
+        rec.last = now;
+        rec.due = now + BOX_INTERVALS[rec.box];
+        this.items[key] = rec;
+        return rec;
+    }
+
+    isMastered(word) {
+        const rec = this.getRecord(word);
+        return !!rec && rec.box >= MASTERED_BOX;
+    }
+
+    // Words answered at least once, and how many of them are mastered
+    counts() {
+        const recs = Object.values(this.items);
+        return { seen: recs.length, mastered: recs.filter(r => r.box >= MASTERED_BOX).length };
+    }
+
+    // Picks the next word from `pool`:
+    // 1. the most urgent due word (lowest box first, then oldest due date),
+    // 2. otherwise the level's own word if it is unseen, or the next unseen one after it,
+    // 3. otherwise the weakest word we know.
+    pickNext(pool, levelIndex, { keyOf = item => item.en, exclude = null, now = Date.now() } = {}) {
+        if (!pool.length) return null;
+        const excludeKey = exclude ? SpacedRepetition.key(exclude) : null;
+        const candidates = pool.filter(item => SpacedRepetition.key(keyOf(item)) !== excludeKey);
+        if (!candidates.length) return pool[levelIndex % pool.length];
+
+        const recOf = item => this.items[SpacedRepetition.key(keyOf(item))];
+        const byUrgency = (a, b) => (recOf(a).box - recOf(b).box) || (recOf(a).due - recOf(b).due);
+
+        const due = candidates.filter(item => recOf(item) && recOf(item).due <= now);
+        if (due.length) return due.sort(byUrgency)[0];
+
+        for (let i = 0; i < pool.length; i++) {
+            const item = pool[(levelIndex + i) % pool.length];
+            if (candidates.includes(item) && !recOf(item)) return item;
+        }
+
+        return [...candidates].sort(byUrgency)[0];
+    }
+
+    // Combines two sets of records, keeping the most recently answered one per word
+    static merge(a, b) {
+        const merged = new SpacedRepetition(a);
+        const other = new SpacedRepetition(b);
+        Object.keys(other.items).forEach(key => {
+            const mine = merged.items[key];
+            if (!mine || other.items[key].last > mine.last) merged.items[key] = other.items[key];
+        });
+        return merged;
+    }
+
+    toJSON() {
+        return { items: this.items };
+    }
+}
@@ -0,0 +1,91 @@
+// Answer log behind the stats screen: one small event per answer, oldest first.
+// Capped at MAX_EVENTS so it stays far below the localStorage quota. It is not
+// synced (too big for cloud storage); backup files carry all of it and backup
+// codes the last CODE_EVENTS answers.
+
+import { dayKey } from './streak.js';
+
+export const STATS_KEY = 'learnita_v3_stats';
+export const MAX_EVENTS = 1500;
+export const CODE_EVENTS = 300;
+
+// Longer answers are logged without a time (the learner probably walked away)
+const MAX_RESPONSE_MS = 2 * 60 * 1000;
+
+function responseTime(ms) {
+    return Number.isFinite(ms) && ms >= 0 && ms <= MAX_RESPONSE_MS ? Math.round(ms) : null;
+}
+
+export class AnswerLog {
+    constructor(data = {}) {
+        // [{ at, game, ok, ms }], ms is null when the answer wasn't timed
+        const events = (data && Array.isArray(data.events)) ? data.events : [];
+        this.events = events
+            .filter(e => e && Number.isFinite(e.at) && typeof e.game === 'string' && typeof e.ok === 'boolean')
+            .map(e => ({ at: e.at, game: e.game, ok: e.ok, ms: responseTime(e.ms) }))
+            .slice(-MAX_EVENTS);
+    }
+
+    get size() {
+        return this.events.length;
+    }
+
+    record(game, ok, ms = null, now = Date.now()) {
+        this.events.push({ at: now, game, ok, ms: responseTime(ms) });
+        if (this.events.length > MAX_EVENTS) this.events.splice(0, this.events.length - MAX_EVENTS);
+    }
+
+    // The last `days` calendar days, oldest first: [{ day, right, total }]
+    daily(days, game = null, now = new Date()) {
+        const buckets = {};
+        const result = [];
+        for (let i = days - 1; i >= 0; i--) {
+            const day = dayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - i));
+            buckets[day] = { day, right: 0, total: 0 };
+            result.push(buckets[day]);
+        }
+        this.events.forEach(e => {
+            if (game && e.game !== game) return;
+            const bucket = buckets[dayKey(new Date(e.at))];
+            if (!bucket) return;
+            bucket.total++;
+            if (e.ok) bucket.right++;
+        });
+        return result;
+    }
+
+    // Average answer time in ms, or null when nothing was timed
+    averageResponseMs(game = null) {
+        const times = this.events.filter(e => e.ms !== null && (!game || e.game === game)).map(e => e.ms);
+        return times.length ? times.reduce((a, b) => a + b, 0) / times.length : null;
+    }
+
+    // [{ game, right, total, accuracy }], most answered first
+    byGame() {
+        const games = {};
+        this.events.forEach(e => {
+            const g = games[e.game] || (games[e.game] = { game: e.game, right: 0, total: 0 });
+            g.total++;
+            if (e.ok) g.right++;
+        });
+        return Object.values(games)
+            .map(g => ({ ...g, accuracy: g.right / g.total }))
+            .sort((a, b) => b.total - a.total);
+    }
+
+    // Games with at least `minAnswers` answers, best accuracy first
+    ranking(minAnswers = 10) {
+        return this.byGame()
+            .filter(g => g.total >= minAnswers)
+            .sort((a, b) => b.accuracy - a.accuracy || b.total - a.total);
+    }
+
+    // The newest `count` events in the saved shape
+    recent(count) {
+        return { events: this.events.slice(-count) };
+    }
+
+    toJSON() {
+        return { events: this.events };
+    }
+}
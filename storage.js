@@ -0,0 +1,263 @@
+// Storage adapters. The app only talks to a SyncedStore, which keeps a local
+// adapter (synchronous, Storage-like: getItem/setItem/removeItem) and an
+// optional remote adapter (asynchronous: get/set) in step.
+
+export class LocalStorageAdapter {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+// Keeps everything in memory; handy for tests and when localStorage is blocked
+export class MemoryStorageAdapter {
+    constructor(initial = {}) {
+        this.data = new Map(Object.entries(initial));
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+}
+
+const CLOUD_CHUNK_SIZE = 4000;
+
+// Eitaa WebApp cloud storage (same callback API as Telegram's CloudStorage).
+// Values are limited to a few KB, so long values are split into chunks.
+export class EitaaCloudAdapter {
+    static isAvailable() {
+        try {
+            const cloud = window.Eitaa && Eitaa.WebApp && Eitaa.WebApp.CloudStorage;
+            return !!(cloud && typeof cloud.getItem === 'function' && typeof cloud.setItem === 'function');
+        } catch (e) {
+            return false;
+        }
+    }
+
+    constructor() {
+        this.cloud = Eitaa.WebApp.CloudStorage;
+    }
+
+    call(method, ...args) {
+        return new Promise((resolve, reject) => {
+            this.cloud[method](...args, (err, result) => err ? reject(new Error(err)) : resolve(result));
+        });
+    }
+
+    chunkKeys(key, { chunks, id }) {
+        return Array.from({ length: chunks }, (_, i) => `${key}__${id}_${i}`);
+    }
+
+    async readHead(key) {
+        const head = await this.call('getItem', key);
+        return head ? JSON.parse(head) : null;
+    }
+
+    async get(key) {
+        const head = await this.readHead(key);
+        if (!head) return null;
+        const parts = await Promise.all(this.chunkKeys(key, head).map(k => this.call('getItem', k)));
+        return parts.join('');
+    }
+
+    async set(key, value) {
+        const size = CLOUD_CHUNK_SIZE;
+        const previous = await this.readHead(key).catch(() => null);
+        // Every upload gets fresh chunk names and the head is switched last,
+        // so a half-finished upload is never read back, even over an older value
+        const head = { chunks: Math.max(1, Math.ceil(value.length / size)), id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}` };
+        const keys = this.chunkKeys(key, head);
+        for (let i = 0; i < keys.length; i++) {
+            await this.call('setItem', keys[i], value.slice(i * size, (i + 1) * size));
+        }
+        await this.call('setItem', key, JSON.stringify(head));
+        if (previous && previous.id !== head.id && typeof this.cloud.removeItem === 'function') {
+            for (const k of this.chunkKeys(key, previous)) {
+                await this.call('removeItem', k).catch(e => console.warn('Failed to remove an old chunk', e));
+            }
+        }
+    }
+}
+
+// Generic REST backend: GET/PUT {baseUrl}/users/{userId}/{key} with a text body.
+// Inside Eitaa the signed launch data is sent as `Authorization: tma <initData>`;
+// the backend must verify it and only serve the user it names.
+// tools/mock-sync-server.js implements it for local testing.
+export class RestStorageAdapter {
+    constructor(baseUrl, userId, initData = null) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.userId = userId;
+        this.headers = initData ? { Authorization: `tma ${initData}` } : {};
+    }
+
+    url(key) {
+        return `${this.baseUrl}/users/${encodeURIComponent(this.userId)}/${encodeURIComponent(key)}`;
+    }
+
+    async get(key) {
+        const response = await fetch(this.url(key), { headers: this.headers });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Remote storage GET ${key} failed: HTTP ${response.status}`);
+        return response.text();
+    }
+
+    async set(key, value) {
+        const response = await fetch(this.url(key), { method: 'PUT', body: value, headers: { ...this.headers, 'Content-Type': 'text/plain' } });
+        if (!response.ok) throw new Error(`Remote storage PUT ${key} failed: HTTP ${response.status}`);
+    }
+}
+
+const META_KEY = 'learnita_v3_sync_meta';
+
+// Reads and writes go to the local adapter right away. Synced keys are pushed
+// to the remote adapter in the background, wrapped as { updatedAt, value }.
+//
+// On sync, when both sides changed since the last sync the key's resolver
+// merges them (resolver(localValue, remoteValue) -> value); keys without a
+// resolver keep the most recently written value.
+export class SyncedStore {
+    constructor(local, remote = null, { syncedKeys = [], resolvers = {}, pushDelay = 2000 } = {}) {
+        this.local = local;
+        this.remote = remote;
+        this.syncedKeys = syncedKeys;
+        this.resolvers = resolvers;
+        this.pushDelay = pushDelay;
+        this.dirty = new Set();
+        this.pushTimeout = null;
+        try {
+            this.meta = JSON.parse(local.getItem(META_KEY)) || {};
+        } catch (e) {
+            this.meta = {};
+        }
+    }
+
+    getItem(key) {
+        return this.local.getItem(key);
+    }
+
+    setItem(key, value) {
+        this.local.setItem(key, value);
+        if (this.syncedKeys.includes(key)) {
+            this.touch(key, Date.now());
+            this.dirty.add(key);
+            this.schedulePush();
+        }
+    }
+
+    removeItem(key) {
+        this.local.removeItem(key);
+    }
+
+    touch(key, updatedAt, syncedAt) {
+        const entry = this.meta[key] || { updatedAt: 0, syncedAt: 0 };
+        entry.updatedAt = updatedAt;
+        if (syncedAt !== undefined) entry.syncedAt = syncedAt;
+        this.meta[key] = entry;
+        this.local.setItem(META_KEY, JSON.stringify(this.meta));
+    }
+
+    schedulePush() {
+        if (!this.remote) return;
+        clearTimeout(this.pushTimeout);
+        this.pushTimeout = setTimeout(() => this.flush(), this.pushDelay);
+    }
+
+    async push(key) {
+        const value = this.local.getItem(key);
+        if (value === null) return;
+        const updatedAt = (this.meta[key] && this.meta[key].updatedAt) || Date.now();
+        await this.remote.set(key, JSON.stringify({ updatedAt, value }));
+        this.touch(key, updatedAt, updatedAt);
+    }
+
+    // Pushes pending local changes now (e.g. when the app goes to background)
+    async flush() {
+        clearTimeout(this.pushTimeout);
+        if (!this.remote) return;
+        const keys = [...this.dirty];
+        this.dirty.clear();
+        for (const key of keys) {
+            try {
+                await this.push(key);
+            } catch (e) {
+                console.warn('Remote storage push failed', e);
+                this.dirty.add(key);
+            }
+        }
+    }
+
+    // Pulls every synced key and reconciles it. Returns the keys whose local value changed.
+    async sync() {
+        if (!this.remote) return [];
+        const changed = [];
+        for (const key of this.syncedKeys) {
+            let remote = null;
+            try {
+                const raw = await this.remote.get(key);
+                remote = raw ? JSON.parse(raw) : null;
+            } catch (e) {
+                console.warn(`Remote storage sync failed for ${key}`, e);
+                continue;
+            }
+
+            const localValue = this.local.getItem(key);
+            const meta = this.meta[key] || { updatedAt: 0, syncedAt: 0 };
+            // Data saved before syncing existed has no meta entry and counts as changed
+            const localChanged = localValue !== null && (!this.meta[key] || meta.updatedAt > meta.syncedAt);
+
+            if (!remote || remote.value === localValue) {
+                if (localValue !== null && (!remote || localChanged)) await this.push(key).catch(e => console.warn(e));
+                continue;
+            }
+
+            const remoteChanged = remote.updatedAt > meta.syncedAt;
+            let value;
+            if (localValue === null || (remoteChanged && !localChanged)) {
+                value = remote.value;
+            } else if (!remoteChanged) {
+                value = localValue;
+            } else if (this.resolvers[key]) {
+                // A failed merge (e.g. a save from a newer app) leaves both sides as they are
+                try {
+                    value = this.resolvers[key](localValue, remote.value);
+                } catch (e) {
+                    console.warn(`Failed to merge ${key}`, e);
+                    continue;
+                }
+            } else {
+                value = meta.updatedAt >= remote.updatedAt ? localValue : remote.value;
+            }
+
+            if (value !== localValue) {
+                this.local.setItem(key, value);
+                changed.push(key);
+            }
+            if (value === remote.value) {
+                this.touch(key, remote.updatedAt, remote.updatedAt);
+            } else {
+                this.touch(key, Date.now());
+                await this.push(key).catch(e => console.warn(e));
+            }
+        }
+        return changed;
+    }
+}
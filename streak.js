@@ -0,0 +1,135 @@
+// Daily goal and streak tracking.
+// A day counts towards the streak once its goal is reached. Every 7 streak
+// days earn a freeze (up to MAX_FREEZES); a freeze covers one missed day.
+
+export const STREAK_KEY = 'learnita_v3_streak';
+
+export const GOAL_TYPES = {
+    ANSWERS: 'answers',
+    MINUTES: 'minutes'
+};
+
+export const GOAL_TARGETS = {
+    [GOAL_TYPES.ANSWERS]: [10, 20, 30, 50],
+    [GOAL_TYPES.MINUTES]: [5, 10, 15, 20]
+};
+
+const MAX_FREEZES = 2;
+const DAYS_PER_FREEZE = 7;
+
+// Local calendar day as YYYY-MM-DD
+export function dayKey(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function daysBetween(fromKey, toKey) {
+    const toUtc = key => {
+        const [y, m, d] = key.split('-').map(Number);
+        return Date.UTC(y, m - 1, d);
+    };
+    return Math.round((toUtc(toKey) - toUtc(fromKey)) / 86400000);
+}
+
+function count(n) {
+    return Number.isInteger(n) && n >= 0 ? n : 0;
+}
+
+export class DailyGoal {
+    constructor(data = {}) {
+        const d = data || {};
+        const goal = d.goal || {};
+        const type = Object.values(GOAL_TYPES).includes(goal.type) ? goal.type : GOAL_TYPES.ANSWERS;
+        const target = GOAL_TARGETS[type].includes(goal.target) ? goal.target : GOAL_TARGETS[type][0];
+        this.goal = { type, target };
+
+        const today = d.today || {};
+        this.today = {
+            day: typeof today.day === 'string' ? today.day : dayKey(),
+            correct: count(today.correct),
+            seconds: count(today.seconds),
+            reached: today.reached === true
+        };
+
+        const streak = d.streak || {};
+        this.streak = {
+            count: count(streak.count),
+            best: count(streak.best),
+            lastDay: typeof streak.lastDay === 'string' ? streak.lastDay : null,
+            freezes: Math.min(MAX_FREEZES, count(streak.freezes)),
+            frozenDays: Array.isArray(streak.frozenDays) ? streak.frozenDays.slice(-30) : []
+        };
+    }
+
+    setGoal(type, target) {
+        this.goal = { type, target };
+        // Lowering the goal may complete today right away
+        return this.checkReached();
+    }
+
+    // Starts a new day when the date changed and settles missed days
+    refresh(now = new Date()) {
+        const today = dayKey(now);
+        if (this.today.day !== today) {
+            this.today = { day: today, correct: 0, seconds: 0, reached: false };
+        }
+
+        const { lastDay } = this.streak;
+        if (!lastDay || this.streak.count === 0) return;
+        const missed = daysBetween(lastDay, today) - 1;
+        if (missed <= 0) return;
+
+        if (missed <= this.streak.freezes) {
+            // Freezes bridge the gap as if those days were played
+            this.streak.freezes -= missed;
+            for (let i = 1; i <= missed; i++) {
+                const day = new Date(now);
+                day.setDate(day.getDate() - (missed - i + 1));
+                this.streak.frozenDays.push(dayKey(day));
+            }
+            this.streak.frozenDays = this.streak.frozenDays.slice(-30);
+            const yesterday = new Date(now);
+            yesterday.setDate(yesterday.getDate() - 1);
+            this.streak.lastDay = dayKey(yesterday);
+        } else {
+            this.streak.count = 0;
+        }
+    }
+
+    // Each method returns true when this call completed today's goal
+    recordCorrect(now = new Date()) {
+        this.refresh(now);
+        this.today.correct++;
+        return this.checkReached(now);
+    }
+
+    addTime(seconds, now = new Date()) {
+        this.refresh(now);
+        this.today.seconds += seconds;
+        return this.checkReached(now);
+    }
+
+    checkReached(now = new Date()) {
+        if (this.today.reached || this.getProgress() < 1) return false;
+        this.today.reached = true;
+        const today = dayKey(now);
+        if (this.streak.lastDay !== today) {
+            this.streak.count++;
+            this.streak.lastDay = today;
+            this.streak.best = Math.max(this.streak.best, this.streak.count);
+            if (this.streak.count % DAYS_PER_FREEZE === 0) {
+                this.streak.freezes = Math.min(MAX_FREEZES, this.streak.freezes + 1);
+            }
+        }
+        return true;
+    }
+
+    getProgress() {
+        const done = this.goal.type === GOAL_TYPES.MINUTES ? this.today.seconds / 60 : this.today.correct;
+        return Math.min(1, done / this.goal.target);
+    }
+
+    toJSON() {
+        return { goal: this.goal, today: this.today, streak: this.streak };
+    }
+}
@@ -1,8 +1,35 @@
-const CACHE_NAME = 'learnita-v2';
+const CACHE_NAME = 'learnita-v3';
 const ASSETS = [
   '/',
   '/index.html',
   '/main.js',
+  '/srs.js',
+  '/content.js',
+  '/progress.js',
+  '/backup.js',
+  '/storage.js',
+  '/streak.js',
+  '/mistakes.js',
+  '/text.js',
+  '/distractors.js',
+  '/settings.js',
+  '/grammar.js',
+  '/sentences.js',
+  '/hangman.js',
+  '/guess.js',
+  '/timeattack.js',
+  '/pause.js',
+  '/session.js',
+  '/stats.js',
+  '/charts.js',
+  '/achievements.js',
+  '/scoring.js',
+  '/profiles.js',
+  '/assignment.js',
+  '/numbers.js',
+  '/clock.js',
+  '/dates.js',
+  '/packs/core.json',
   '/game_guess.png',
   '/game_translate.png',
   '/game_sentence.png',
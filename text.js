@@ -0,0 +1,100 @@
+// Small text helpers shared by the answer checkers and the distractor engine.
+
+// Levenshtein distance (insertions, deletions and substitutions cost 1)
+export function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+// Joins sentence tokens, keeping punctuation tokens against the word before: ["Hi", "!"] -> "Hi!"
+export function joinWords(words) {
+    return words.join(' ').replace(/ ([.,!?;:])/g, '$1');
+}
+
+// Lowercase, without accents, punctuation or extra spaces. The typing keyboard
+// has only letters and space, so hyphens count as spaces and apostrophes are dropped:
+// "twenty-one" is typed "twenty one", "don't" is typed "dont"
+export function normalizeAnswer(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[.,!?;:"'’]/g, '')
+        .replace(/-/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Edit operations that turn `expected` into `typed`, using optimal string
+// alignment so swapped neighbours count as one typo.
+// Each op is { type: 'sub' | 'missing' | 'extra' | 'swap', expected, typed }
+export function describeTypos(typed, expected) {
+    const a = typed;
+    const b = expected;
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 0; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    const ops = [];
+    let i = a.length;
+    let j = b.length;
+    while (i > 0 || j > 0) {
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1] && a[i - 1] !== b[j - 1] && d[i][j] === d[i - 2][j - 2] + 1) {
+            ops.unshift({ type: 'swap', expected: b.slice(j - 2, j), typed: a.slice(i - 2, i) });
+            i -= 2;
+            j -= 2;
+        } else if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+            if (a[i - 1] !== b[j - 1]) ops.unshift({ type: 'sub', expected: b[j - 1], typed: a[i - 1] });
+            i--;
+            j--;
+        } else if (j > 0 && d[i][j] === d[i][j - 1] + 1) {
+            ops.unshift({ type: 'missing', expected: b[j - 1], typed: '' });
+            j--;
+        } else {
+            ops.unshift({ type: 'extra', expected: '', typed: a[i - 1] });
+            i--;
+        }
+    }
+    return ops;
+}
+
+// Typos forgiven for a word of this length
+function allowedTypos(length) {
+    if (length <= 3) return 0;
+    if (length <= 7) return 1;
+    return 2;
+}
+
+// Grades a typed answer: 'exact', 'typo' (close enough for partial credit) or 'wrong'
+export function gradeTypedAnswer(typed, expected) {
+    const a = normalizeAnswer(typed);
+    const b = normalizeAnswer(expected);
+    if (a === b) return { result: 'exact', typos: [] };
+    if (!a) return { result: 'wrong', typos: [] };
+    const typos = describeTypos(a, b);
+    return { result: typos.length <= allowedTypos(b.length) ? 'typo' : 'wrong', typos };
+}
+
+// For text from content packs, the learner or a pasted code that goes into markup
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
@@ -0,0 +1,50 @@
+// Time attack: answer as many questions as possible before the clock runs out.
+// Correct answers add bonus seconds. The best session per game is kept.
+
+export const TIME_ATTACK_KEY = 'learnita_v3_time_attack';
+export const TIME_ATTACK_SECONDS = 60;
+export const TIME_ATTACK_BONUS = 3;
+
+// Seconds for one question when the per-question timer is on. `base` is the
+// game's time at level 0; it shrinks with the level, typing doubles it.
+export function questionTimeLimit(base, level, typing = false) {
+    return Math.max(Math.ceil(base / 4), base - Math.floor(level / 15)) * (typing ? 2 : 1);
+}
+
+function count(n) {
+    return Number.isInteger(n) && n >= 0 ? n : 0;
+}
+
+// More correct answers wins; the score breaks ties
+function isBetter(a, b) {
+    return !b || a.correct > b.correct || (a.correct === b.correct && a.score > b.score);
+}
+
+export class TimeAttackRecords {
+    constructor(data = {}) {
+        // { [game]: { correct, answered, score, at } }
+        const best = (data && data.best) || {};
+        this.best = {};
+        Object.keys(best).forEach(game => {
+            const r = best[game];
+            if (!r || typeof r !== 'object') return;
+            this.best[game] = { correct: count(r.correct), answered: count(r.answered), score: count(r.score), at: typeof r.at === 'string' ? r.at : null };
+        });
+    }
+
+    get(game) {
+        return this.best[game] || null;
+    }
+
+    // Returns true when the session is the new best for the game
+    record(game, { correct, answered, score }, now = new Date()) {
+        const result = { correct, answered, score, at: now.toISOString() };
+        if (!isBetter(result, this.best[game])) return false;
+        this.best[game] = result;
+        return true;
+    }
+
+    toJSON() {
+        return { best: this.best };
+    }
+}
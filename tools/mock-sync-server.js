@@ -0,0 +1,57 @@
+// Minimal in-memory stand-in for the REST sync backend used by RestStorageAdapter.
+//
+//   node tools/mock-sync-server.js [port]
+//
+// then set REMOTE_STORAGE_URL in main.js to http://localhost:8787
+// (it does not check the Authorization header a real backend must verify)
+// GET  /users/:user/:key -> stored text or 404
+// PUT  /users/:user/:key -> stores the request body
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+const data = new Map();
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const match = req.url.match(/^\/users\/([^/]+)\/([^/?]+)$/);
+    if (!match) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+    const id = `${decodeURIComponent(match[1])}/${decodeURIComponent(match[2])}`;
+
+    if (req.method === 'GET') {
+        if (!data.has(id)) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(data.get(id));
+    } else if (req.method === 'PUT') {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            data.set(id, body);
+            console.log(`PUT ${id} (${body.length} chars)`);
+            res.writeHead(204);
+            res.end();
+        });
+    } else {
+        res.writeHead(405);
+        res.end();
+    }
+});
+
+server.listen(port, () => console.log(`Mock sync server on http://localhost:${port}`));